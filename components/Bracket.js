@@ -0,0 +1,300 @@
+import { useEffect, useState } from 'react';
+import {
+  BRACKET_SIZES,
+  bracketRounds,
+  bracketWinner,
+  createBracket,
+  encodeBracket,
+  loadBracket,
+  nextMatch,
+  pickSide,
+  roundName,
+  saveBracket,
+  totalMatches,
+  undoPick,
+} from '../lib/bracket';
+import { randomSeed } from '../lib/strategies';
+
+const IMAGE_COLUMN_WIDTH = 240;
+const IMAGE_SLOT_HEIGHT = 30;
+const IMAGE_PADDING = 24;
+
+function entrantLabel(entrant) {
+  if (!entrant) return '';
+  return entrant.year ? `${entrant.title} (${entrant.year})` : entrant.title;
+}
+
+// Draw the bracket as columns of names, one per round, and download it.
+// Text only: posters come from other origins and would taint the canvas.
+function downloadBracketImage(bracket) {
+  const rounds = bracketRounds(bracket);
+  const slots = bracket.entrants.length;
+  const canvas = document.createElement('canvas');
+  canvas.width = IMAGE_PADDING * 2 + IMAGE_COLUMN_WIDTH * (rounds.length + 1);
+  canvas.height = IMAGE_PADDING * 3 + IMAGE_SLOT_HEIGHT * slots;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#0d1117';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.font = '13px sans-serif';
+  ctx.textBaseline = 'middle';
+
+  const drawName = (entrant, x, y, highlight) => {
+    ctx.fillStyle = highlight ? '#40c463' : '#e6edf3';
+    let label = entrantLabel(entrant);
+    while (label && ctx.measureText(label).width > IMAGE_COLUMN_WIDTH - 16) {
+      label = label.slice(0, -2);
+    }
+    if (label !== entrantLabel(entrant)) label = `${label}…`;
+    ctx.fillText(label, x, y);
+    ctx.strokeStyle = '#30363d';
+    ctx.beginPath();
+    ctx.moveTo(x, y + IMAGE_SLOT_HEIGHT / 2 - 4);
+    ctx.lineTo(x + IMAGE_COLUMN_WIDTH - 16, y + IMAGE_SLOT_HEIGHT / 2 - 4);
+    ctx.stroke();
+  };
+
+  const top = IMAGE_PADDING * 2;
+  rounds.forEach((matches, round) => {
+    const x = IMAGE_PADDING + round * IMAGE_COLUMN_WIDTH;
+    // Each round's slots sit halfway between the two they came from
+    const span = IMAGE_SLOT_HEIGHT * 2 ** round;
+    ctx.fillStyle = '#8b949e';
+    ctx.fillText(roundName(matches.length), x, IMAGE_PADDING);
+    matches.forEach((match, i) => {
+      [match.a, match.b].forEach((entrant, side) => {
+        const y = top + span * (i * 2 + side) + span / 2;
+        drawName(entrant, x, y, entrant && match.winner === entrant);
+      });
+    });
+  });
+
+  const champion = bracketWinner(bracket);
+  const x = IMAGE_PADDING + rounds.length * IMAGE_COLUMN_WIDTH;
+  ctx.fillStyle = '#8b949e';
+  ctx.fillText('Winner', x, IMAGE_PADDING);
+  drawName(champion, x, top + (IMAGE_SLOT_HEIGHT * slots) / 2, true);
+
+  const link = document.createElement('a');
+  link.href = canvas.toDataURL('image/png');
+  link.download = 'letterboxd-bracket.png';
+  link.click();
+}
+
+// Knockout mode: seed 8, 16 or 32 films from the list and pick a winner in
+// each matchup until one is left. The bracket in progress is saved locally;
+// a shared bracket link opens in place of it.
+export default function Bracket({ films, listKey, sharedBracket, fetchDetails }) {
+  const [bracket, setBracket] = useState(null);
+  const [size, setSize] = useState(16);
+  const [details, setDetails] = useState({});
+  const [copyStatus, setCopyStatus] = useState('');
+
+  useEffect(() => {
+    setBracket(sharedBracket || loadBracket());
+  }, [sharedBracket]);
+
+  const update = (next) => {
+    setBracket(next);
+    saveBracket(next);
+    setCopyStatus('');
+  };
+
+  const match = bracket ? nextMatch(bracket) : null;
+
+  // Fetch details for both sides of the current matchup as it comes up
+  useEffect(() => {
+    if (!match) return;
+    [match.a, match.b].forEach((entrant) => {
+      if (details[entrant.slug]) return;
+      setDetails((current) => ({ ...current, [entrant.slug]: 'loading' }));
+      fetchDetails(entrant)
+        .then((data) => {
+          setDetails((current) => ({ ...current, [entrant.slug]: data }));
+        })
+        .catch(() => {
+          setDetails((current) => ({ ...current, [entrant.slug]: 'failed' }));
+        });
+    });
+  }, [match?.a.slug, match?.b.slug]);
+
+  const start = () => {
+    update(createBracket(films, size, { seed: randomSeed(), listKey }));
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(
+        `${window.location.origin}${window.location.pathname}?bracket=${encodeBracket(bracket)}`
+      );
+      setCopyStatus('Link copied!');
+    } catch (err) {
+      setCopyStatus('Could not copy link');
+    }
+  };
+
+  if (!bracket) {
+    return (
+      <section className="bracket">
+        <h2>Bracket</h2>
+        <div className="bracket-setup">
+          <span>Seed</span>
+          <select
+            value={size}
+            onChange={(e) => setSize(parseInt(e.target.value, 10))}
+            aria-label="Bracket size"
+          >
+            {BRACKET_SIZES.map((n) => (
+              <option key={n} value={n} disabled={films.length < n}>
+                {n} films
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="pick-button"
+            onClick={start}
+            disabled={films.length < size}
+          >
+            Start bracket
+          </button>
+          {films.length < BRACKET_SIZES[0] && (
+            <span className="bracket-note">
+              Load a list with at least {BRACKET_SIZES[0]} films
+            </span>
+          )}
+        </div>
+      </section>
+    );
+  }
+
+  const rounds = bracketRounds(bracket);
+  const winner = match ? null : bracketWinner(bracket);
+
+  return (
+    <section className="bracket">
+      <div className="bracket-header">
+        <h2>
+          {match
+            ? `${roundName(rounds[match.round].length)} · match ${
+                match.index + 1
+              } of ${rounds[match.round].length}`
+            : 'Bracket winner'}
+        </h2>
+        <span className="bracket-note">
+          {bracket.picks.length} of {totalMatches(bracket)} matchups decided
+        </span>
+      </div>
+
+      {match && (
+        <div className="matchup">
+          {[match.a, match.b].map((entrant, side) => {
+            const info =
+              typeof details[entrant.slug] === 'object'
+                ? details[entrant.slug]
+                : null;
+            const poster = info?.poster || entrant.poster;
+            return (
+              <button
+                key={entrant.slug}
+                type="button"
+                className="contender"
+                onClick={() => update(pickSide(bracket, side))}
+              >
+                {poster ? (
+                  <img src={poster} alt={`${entrant.title} poster`} />
+                ) : (
+                  <div className="poster-placeholder">No poster</div>
+                )}
+                <span className="contender-title">{entrantLabel(entrant)}</span>
+                {info && (
+                  <span className="contender-meta">
+                    {[info.director, info.runtime].filter(Boolean).join(' · ')}
+                  </span>
+                )}
+                {info?.description && (
+                  <span className="contender-description">
+                    {info.description}
+                  </span>
+                )}
+                {details[entrant.slug] === 'loading' && (
+                  <span className="contender-meta">Loading details...</span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {winner && (
+        <div className="bracket-winner">
+          <span className="contender-title">{entrantLabel(winner)}</span>
+          <a href={winner.letterboxdUrl} target="_blank" rel="noopener noreferrer">
+            View on Letterboxd
+          </a>
+        </div>
+      )}
+
+      <div className="bracket-controls">
+        {bracket.picks.length > 0 && (
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={() => update(undoPick(bracket))}
+          >
+            Undo last pick
+          </button>
+        )}
+        {winner && (
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={() => downloadBracketImage(bracket)}
+          >
+            Download image
+          </button>
+        )}
+        <button type="button" className="secondary-button" onClick={copyLink}>
+          {copyStatus || 'Copy link'}
+        </button>
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={() => {
+            if (winner || window.confirm('Abandon this bracket?')) {
+              update(null);
+            }
+          }}
+        >
+          New bracket
+        </button>
+      </div>
+
+      <div className="bracket-rounds">
+        {rounds.map((matches, round) => (
+          <div key={round} className="bracket-round">
+            <h3>{roundName(matches.length)}</h3>
+            <ol>
+              {matches.map((m, i) => (
+                <li key={i} className="bracket-match">
+                  {[m.a, m.b].map((entrant, side) => (
+                    <span
+                      key={side}
+                      className={
+                        entrant && m.winner === entrant
+                          ? 'bracket-match-winner'
+                          : ''
+                      }
+                    >
+                      {entrantLabel(entrant) || '—'}
+                    </span>
+                  ))}
+                </li>
+              ))}
+            </ol>
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,200 @@
+import { useEffect, useState } from 'react';
+import RegionSelect from './RegionSelect';
+import { EMPTY_FILTERS, TMDB_GENRES, hasActiveFilters } from '../lib/filters';
+import { parseServiceIds } from '../lib/regions';
+
+// Only the most popular services get a checkbox; anything already picked
+// stays listed
+const MAX_SERVICES = 24;
+
+export default function FilterPanel({
+  filters,
+  onChange,
+  matchCount,
+  totalCount,
+  enrichProgress,
+  region,
+  onRegionChange,
+}) {
+  const [open, setOpen] = useState(false);
+  const [services, setServices] = useState(null);
+  const picked = parseServiceIds(filters.services);
+  const active = hasActiveFilters(filters);
+  const enriching =
+    active && enrichProgress && enrichProgress.done < enrichProgress.total;
+
+  const update = (field) => (e) => {
+    onChange({ ...filters, [field]: e.target.value });
+  };
+
+  // Load the region's services while the panel is open (the API caches them)
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setServices(null);
+
+    fetch(`/api/watch-providers?region=${region}`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!cancelled) setServices(data?.providers || []);
+      })
+      .catch(() => {
+        if (!cancelled) setServices([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, region]);
+
+  const toggleService = (id) => {
+    const next = picked.includes(id)
+      ? picked.filter((pickedId) => pickedId !== id)
+      : [...picked, id];
+    onChange({ ...filters, services: next.join(',') });
+  };
+
+  const serviceOptions = (services || []).filter(
+    (service, i) => i < MAX_SERVICES || picked.includes(service.id)
+  );
+
+  return (
+    <section className="filter-panel">
+      <div className="filter-header">
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={() => setOpen(!open)}
+        >
+          {open ? 'Hide filters' : 'Filters'}
+          {active && ' (on)'}
+        </button>
+        {active && (
+          <span className="filter-count">
+            <strong>{matchCount}</strong> of {totalCount} films match
+            {enriching &&
+              ` so far (checked ${enrichProgress.done}/${enrichProgress.total})`}
+          </span>
+        )}
+      </div>
+
+      {open && (
+        <div className="filter-grid">
+          <label>
+            <span>Runtime (min)</span>
+            <div className="filter-range">
+              <input
+                type="number"
+                min="0"
+                placeholder="From"
+                value={filters.minRuntime}
+                onChange={update('minRuntime')}
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="To"
+                value={filters.maxRuntime}
+                onChange={update('maxRuntime')}
+              />
+            </div>
+          </label>
+          <label>
+            <span>Release year</span>
+            <div className="filter-range">
+              <input
+                type="number"
+                placeholder="From"
+                value={filters.yearFrom}
+                onChange={update('yearFrom')}
+              />
+              <input
+                type="number"
+                placeholder="To"
+                value={filters.yearTo}
+                onChange={update('yearTo')}
+              />
+            </div>
+          </label>
+          <label>
+            <span>Genre</span>
+            <select value={filters.genre} onChange={update('genre')}>
+              <option value="">Any genre</option>
+              {TMDB_GENRES.map((genre) => (
+                <option key={genre} value={genre}>
+                  {genre}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span>Director</span>
+            <input
+              type="text"
+              placeholder="Any director"
+              value={filters.director}
+              onChange={update('director')}
+            />
+          </label>
+          <label>
+            <span>Letterboxd rating at least</span>
+            <input
+              type="number"
+              min="0"
+              max="5"
+              step="0.1"
+              placeholder="0 – 5"
+              value={filters.minLetterboxdRating}
+              onChange={update('minLetterboxdRating')}
+            />
+          </label>
+          <label>
+            <span>TMDB rating at least</span>
+            <input
+              type="number"
+              min="0"
+              max="10"
+              step="0.1"
+              placeholder="0 – 10"
+              value={filters.minTmdbRating}
+              onChange={update('minTmdbRating')}
+            />
+          </label>
+          <fieldset className="filter-services">
+            <legend>
+              <span>On my services in</span>
+              <RegionSelect region={region} onChange={onRegionChange} />
+            </legend>
+            {serviceOptions.length === 0 ? (
+              <p className="filter-services-empty">
+                {services ? 'No services found' : 'Loading services...'}
+              </p>
+            ) : (
+              <div className="service-options">
+                {serviceOptions.map((service) => (
+                  <label key={service.id} className="service-option">
+                    <input
+                      type="checkbox"
+                      checked={picked.includes(service.id)}
+                      onChange={() => toggleService(service.id)}
+                    />
+                    {service.name}
+                  </label>
+                ))}
+              </div>
+            )}
+          </fieldset>
+          {active && (
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={() => onChange(EMPTY_FILTERS)}
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
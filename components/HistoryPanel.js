@@ -0,0 +1,132 @@
+import { useState } from 'react';
+import { exportHistory, filmStatus } from '../lib/history';
+import { downloadFile, historyToLetterboxdCsv } from '../lib/export';
+import { letterboxdFilmUrl } from '../lib/sources';
+
+const STATUS_LABELS = {
+  watched: 'Watched',
+  hidden: 'Never show',
+};
+
+function downloadHistory() {
+  downloadFile(
+    'letterboxd-roll-history.json',
+    exportHistory(),
+    'application/json'
+  );
+}
+
+// Films marked watched as a CSV for Letterboxd's importer
+function downloadLetterboxdImport(history) {
+  downloadFile(
+    'letterboxd-import.csv',
+    historyToLetterboxdCsv(history),
+    'text/csv'
+  );
+}
+
+export default function HistoryPanel({ history, onMark, onClear }) {
+  const [open, setOpen] = useState(false);
+  const excludedCount = history.watched.length + history.hidden.length;
+
+  if (history.picks.length === 0 && excludedCount === 0) {
+    return null;
+  }
+
+  return (
+    <section className="history-panel">
+      <div className="history-header">
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={() => setOpen(!open)}
+        >
+          {open ? 'Hide history' : `History (${history.picks.length})`}
+        </button>
+        {excludedCount > 0 && (
+          <span className="history-summary">
+            {excludedCount} film{excludedCount === 1 ? '' : 's'} excluded from
+            rolls
+          </span>
+        )}
+      </div>
+
+      {open && (
+        <div className="history-body">
+          <ul className="history-list">
+            {history.picks.map((pick) => {
+              const status = filmStatus(history, pick.slug);
+              return (
+                <li key={`${pick.slug}-${pick.pickedAt}`}>
+                  <a
+                    href={letterboxdFilmUrl(pick.slug, pick.title)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    {pick.title}
+                    {pick.year && ` (${pick.year})`}
+                  </a>
+                  {status ? (
+                    <span className="history-status">
+                      {STATUS_LABELS[status]}
+                      <button
+                        type="button"
+                        onClick={() => onMark(pick.slug, null)}
+                      >
+                        Undo
+                      </button>
+                    </span>
+                  ) : (
+                    <span className="history-status">
+                      <button
+                        type="button"
+                        onClick={() => onMark(pick.slug, 'watched')}
+                      >
+                        Watched
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onMark(pick.slug, 'hidden')}
+                      >
+                        Never show
+                      </button>
+                    </span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          <div className="history-actions">
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={downloadHistory}
+            >
+              Export JSON
+            </button>
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={() => downloadLetterboxdImport(history)}
+              disabled={history.watched.length === 0}
+              title="Picks marked watched, for letterboxd.com/import"
+            >
+              Export watched for Letterboxd
+            </button>
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={() => {
+                if (window.confirm('Clear history and exclusions for this list?')) {
+                  onClear();
+                }
+              }}
+            >
+              Clear history
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+import { IMPORT_EXTENSIONS, readImportFile } from '../lib/imports';
+
+// Load a list from a file rather than a URL: a Letterboxd CSV export (or the
+// whole export ZIP), or a text or JSON list of titles. The file is read in
+// the browser and never uploaded.
+export default function ImportPanel({ onImport, disabled }) {
+  const [lists, setLists] = useState([]);
+  const [selected, setSelected] = useState(0);
+  const [reading, setReading] = useState(false);
+  const [error, setError] = useState('');
+
+  const readFile = async (e) => {
+    const input = e.target;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    setReading(true);
+    setError('');
+    setLists([]);
+    try {
+      const found = await readImportFile(file);
+      setLists(found);
+      setSelected(0);
+      // A single list goes straight to the pool
+      if (found.length === 1) onImport(found[0]);
+    } catch (err) {
+      setError(err.message || 'Could not read that file');
+    } finally {
+      setReading(false);
+      // Otherwise picking the same file again, say after editing it, is
+      // no change and never gets here
+      input.value = '';
+    }
+  };
+
+  return (
+    <div className="import-panel">
+      <input
+        type="file"
+        accept={IMPORT_EXTENSIONS.join(',')}
+        onChange={readFile}
+        disabled={disabled || reading}
+        aria-label="List file"
+      />
+      <p className="import-hint">
+        A CSV from your Letterboxd data export (watchlist.csv, watched.csv or
+        a list from lists/), the export ZIP itself, or a .txt or .json list
+        of titles. Files stay on your device.
+      </p>
+
+      {lists.length > 1 && (
+        <div className="import-choice">
+          <select
+            value={selected}
+            onChange={(e) => setSelected(Number(e.target.value))}
+            aria-label="List to use"
+          >
+            {lists.map((list, i) => (
+              <option key={list.file} value={i}>
+                {list.name} ({list.films.length} films)
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => onImport(lists[selected])}
+            disabled={disabled}
+          >
+            Use List
+          </button>
+        </div>
+      )}
+
+      {reading && <p className="import-hint">Reading file...</p>}
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import { useState } from 'react';
+import WatchProviders from './WatchProviders';
+import { STRATEGIES } from '../lib/strategies';
+import { filmStatus } from '../lib/history';
+import { letterboxdFilmUrl } from '../lib/sources';
+
+// Get rating color class based on Letterboxd rating (out of 5)
+const getRatingColorClass = (rating) => {
+  if (rating >= 4.2) return 'rating-excellent';
+  if (rating >= 3.5) return 'rating-great';
+  if (rating >= 2.5) return 'rating-good';
+  if (rating >= 1.8) return 'rating-mixed';
+  return 'rating-poor';
+};
+
+// Get rating color class for TMDB (out of 10) - convert to same scale
+const getTmdbRatingColorClass = (rating) => {
+  const normalized = rating / 2; // Convert 10-scale to 5-scale
+  return getRatingColorClass(normalized);
+};
+
+// The picked film: details, where to watch, an inline trailer and films on
+// the same list that TMDB considers related. `actions` replaces the share
+// and history buttons, e.g. with a movie-night candidate's vote and veto.
+export default function MovieCard({
+  movie,
+  history,
+  shareStatus,
+  onShare,
+  onMark,
+  region,
+  onRegionChange,
+  actions,
+  className = '',
+}) {
+  const [showTrailer, setShowTrailer] = useState(false);
+
+  return (
+    <article className={`movie-card ${className}`.trim()}>
+      <div className="movie-content">
+        <div className="poster-container">
+          {movie.poster ? (
+            <img
+              src={movie.poster}
+              alt={`${movie.title} poster`}
+              className="poster"
+            />
+          ) : (
+            <div className="poster-placeholder">No poster</div>
+          )}
+        </div>
+        <div className="movie-info">
+          <h2 className="movie-title">
+            {movie.title}
+            <span className="movie-year">
+              {' '}
+              ({movie.year})
+            </span>
+          </h2>
+          {movie.originalTitle && (
+            <p className="movie-original-title">{movie.originalTitle}</p>
+          )}
+          {movie.tagline && <p className="movie-tagline">{movie.tagline}</p>}
+          <div className="movie-meta">
+            <div className="meta-item">
+              <span className="meta-label">Director</span>
+              <span className="meta-value">
+                {movie.director}
+              </span>
+            </div>
+            <div className="meta-item">
+              <span className="meta-label">Runtime</span>
+              <span className="meta-value">
+                {movie.runtime}
+                {movie.certification && (
+                  <span className="certification">{movie.certification}</span>
+                )}
+              </span>
+            </div>
+            {movie.genres?.length > 0 && (
+              <div className="meta-item">
+                <span className="meta-label">Genres</span>
+                <span className="meta-value">{movie.genres.join(', ')}</span>
+              </div>
+            )}
+            {movie.language && (
+              <div className="meta-item">
+                <span className="meta-label">Language</span>
+                <span className="meta-value">{movie.language}</span>
+              </div>
+            )}
+            {movie.cast?.length > 0 && (
+              <div className="meta-item">
+                <span className="meta-label">Cast</span>
+                <span className="meta-value">
+                  {movie.cast.map((person) => person.name).join(', ')}
+                </span>
+              </div>
+            )}
+            {(movie.letterboxdRating || movie.tmdbRating) && (
+              <div className="meta-item">
+                <span className="meta-label">Ratings</span>
+                <span className="meta-value ratings">
+                  {movie.letterboxdRating && (
+                    <span className="rating">
+                      <span className="rating-label">Letterboxd:</span>
+                      <span className={`rating-value ${getRatingColorClass(movie.letterboxdRating)}`}>
+                        {movie.letterboxdRating}/5
+                      </span>
+                    </span>
+                  )}
+                  {movie.letterboxdRating && movie.tmdbRating && (
+                    <span className="rating-separator"> • </span>
+                  )}
+                  {movie.tmdbRating && (
+                    <span className="rating">
+                      <span className="rating-label">TMDB:</span>
+                      <span className={`rating-value ${getTmdbRatingColorClass(movie.tmdbRating)}`}>
+                        {movie.tmdbRating}/10
+                      </span>
+                    </span>
+                  )}
+                </span>
+              </div>
+            )}
+          </div>
+          {movie.position && (
+            <p className="pick-strategy">
+              #{movie.position} on this list
+            </p>
+          )}
+          {movie.strategy && (
+            <p className="pick-strategy">
+              Picked by: {STRATEGIES[movie.strategy].label}
+            </p>
+          )}
+          {movie.match &&
+            movie.match.confidence !== 'exact' && (
+              <p className="pick-strategy">
+                Matched to TMDB by title search (
+                {movie.match.confidence} confidence), so
+                this may not be the exact film on the list
+              </p>
+            )}
+          {movie.description && (
+            <div className="movie-description">
+              <p>{movie.description}</p>
+            </div>
+          )}
+          {movie.notes && (
+            <blockquote className="list-notes">
+              {movie.notes}
+            </blockquote>
+          )}
+          <WatchProviders
+            providers={movie.watchProviders}
+            region={region}
+            onRegionChange={onRegionChange}
+          />
+          <div className="movie-actions">
+            {movie.trailerKey && (
+              <button type="button" onClick={() => setShowTrailer(!showTrailer)}>
+                {showTrailer ? 'Hide trailer' : 'Play trailer'}
+              </button>
+            )}
+            <a
+              href={
+                movie.letterboxdUrl || letterboxdFilmUrl(movie.slug, movie.title)
+              }
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              View on Letterboxd
+            </a>
+            <a
+              href={`https://www.themoviedb.org/movie/${movie.tmdbId}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              View on TMDB
+            </a>
+            {actions || (
+              <>
+                <button type="button" onClick={onShare}>
+                  {shareStatus || 'Share'}
+                </button>
+                {filmStatus(history, movie.slug) ? (
+                  <button
+                    type="button"
+                    onClick={() => onMark(movie.slug, null)}
+                  >
+                    {filmStatus(history, movie.slug) === 'watched'
+                      ? 'Marked watched'
+                      : 'Hidden'}{' '}
+                    · Undo
+                  </button>
+                ) : (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        onMark(movie.slug, 'watched')
+                      }
+                    >
+                      Watched
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        onMark(movie.slug, 'hidden')
+                      }
+                    >
+                      Never show again
+                    </button>
+                  </>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+      {showTrailer && (
+        <div className="trailer">
+          <iframe
+            src={`https://www.youtube-nocookie.com/embed/${movie.trailerKey}?autoplay=1`}
+            title={`${movie.title} trailer`}
+            allow="autoplay; encrypted-media; picture-in-picture"
+            allowFullScreen
+          />
+        </div>
+      )}
+      {movie.moreLikeThis?.length > 0 && (
+        <section className="more-like-this">
+          <h3>More like this on the list</h3>
+          <ul>
+            {movie.moreLikeThis.map((film) => (
+              <li key={film.slug}>
+                <a
+                  href={film.letterboxdUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  title={film.year ? `${film.title} (${film.year})` : film.title}
+                >
+                  {film.poster ? (
+                    <img src={film.poster} alt={film.title} />
+                  ) : (
+                    <span className="more-like-this-title">{film.title}</span>
+                  )}
+                </a>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </article>
+  );
+}
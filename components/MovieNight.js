@@ -0,0 +1,384 @@
+import { useCallback, useEffect, useState } from 'react';
+import MovieCard from './MovieCard';
+
+const STORAGE_KEY = 'random-letterboxd-movie:rooms';
+const POLL_INTERVAL = 3000;
+const CANDIDATE_COUNTS = [2, 3, 4, 5, 6];
+
+// The participant ID this device was given in each room, so a reload
+// doesn't make you join again
+function loadParticipantId(code) {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY))?.[code] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function saveParticipantId(code, participantId) {
+  try {
+    const all = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    all[code] = participantId;
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (error) {
+    console.error('Could not save room:', error);
+  }
+}
+
+async function postRoom(body) {
+  const response = await fetch('/api/rooms', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Room request failed');
+  }
+  return data;
+}
+
+// Group voting: the host draws a few films from their list into a room,
+// everyone joins with the room code, votes and vetoes, and the host
+// reveals the winner. drawCandidates is null on devices with no list.
+export default function MovieNight({
+  initialCode,
+  drawCandidates,
+  region,
+  onRegionChange,
+  onRoomChange,
+}) {
+  const [code, setCode] = useState(initialCode || '');
+  const [participantId, setParticipantId] = useState(null);
+  const [room, setRoom] = useState(null);
+  const [name, setName] = useState('');
+  const [count, setCount] = useState(4);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [copyStatus, setCopyStatus] = useState('');
+
+  const refresh = useCallback(
+    async (roomCode, id) => {
+      const params = new URLSearchParams({ code: roomCode });
+      if (id) params.set('participant', id);
+      const response = await fetch(`/api/rooms?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Room not found');
+      }
+      setRoom(data.room);
+    },
+    []
+  );
+
+  // Opening a room link picks up this device's earlier seat, if any
+  useEffect(() => {
+    if (!initialCode) return;
+    const id = loadParticipantId(initialCode);
+    setCode(initialCode);
+    setParticipantId(id);
+    refresh(initialCode, id).catch((err) => setError(err.message));
+  }, [initialCode, refresh]);
+
+  // Everyone else's votes, vetoes and new rounds arrive by polling
+  useEffect(() => {
+    if (!room) return undefined;
+    const timer = setInterval(() => {
+      refresh(room.code, participantId).catch(() => {});
+    }, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [room?.code, participantId, refresh]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const enter = (data) => {
+    saveParticipantId(data.room.code, data.participantId);
+    setParticipantId(data.participantId);
+    setCode(data.room.code);
+    setRoom(data.room);
+    onRoomChange(data.room.code);
+  };
+
+  const createRoom = () =>
+    run(async () => {
+      const candidates = await drawCandidates(count);
+      if (candidates.length < 2) {
+        throw new Error('Not enough films to vote on');
+      }
+      enter(await postRoom({ action: 'create', name, candidates }));
+    });
+
+  const joinRoom = () =>
+    run(async () => {
+      enter(await postRoom({ action: 'join', code, name }));
+    });
+
+  const act = (action, extra = {}) =>
+    run(async () => {
+      const data = await postRoom({
+        action,
+        code: room.code,
+        participant: participantId,
+        ...extra,
+      });
+      setRoom(data.room);
+    });
+
+  // A new round leaves out everything vetoed so far and this round's films
+  const nextRound = () =>
+    run(async () => {
+      const skip = [
+        ...room.excluded,
+        ...room.candidates.map((candidate) => candidate.slug),
+      ];
+      const candidates = await drawCandidates(room.candidates.length, skip);
+      if (candidates.length < 2) {
+        throw new Error('Not enough films left on the list for another round');
+      }
+      const data = await postRoom({
+        action: 'round',
+        code: room.code,
+        participant: participantId,
+        candidates,
+      });
+      setRoom(data.room);
+    });
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(
+        `${window.location.origin}${window.location.pathname}?room=${room.code}`
+      );
+      setCopyStatus('Link copied!');
+    } catch (err) {
+      setCopyStatus('Could not copy link');
+    }
+  };
+
+  const leave = () => {
+    setRoom(null);
+    setParticipantId(null);
+    setCode('');
+    onRoomChange(null);
+  };
+
+  const nameInput = (
+    <input
+      type="text"
+      placeholder="Your name"
+      value={name}
+      onChange={(e) => setName(e.target.value)}
+      maxLength={30}
+    />
+  );
+
+  // Not in a room yet: start one from the list, or join by code
+  if (!room || !room.you) {
+    return (
+      <section className="movie-night">
+        <h2>Movie night</h2>
+        {room && !room.you ? (
+          <form
+            className="room-form"
+            onSubmit={(e) => {
+              e.preventDefault();
+              joinRoom();
+            }}
+          >
+            <span>Join room {room.code}</span>
+            {nameInput}
+            <button type="submit" disabled={busy || !name.trim()}>
+              Join
+            </button>
+          </form>
+        ) : (
+          <>
+            {drawCandidates && (
+              <form
+                className="room-form"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  createRoom();
+                }}
+              >
+                <span>Vote on</span>
+                <select
+                  value={count}
+                  onChange={(e) => setCount(parseInt(e.target.value, 10))}
+                  aria-label="Number of films"
+                >
+                  {CANDIDATE_COUNTS.map((n) => (
+                    <option key={n} value={n}>
+                      {n} films
+                    </option>
+                  ))}
+                </select>
+                {nameInput}
+                <button type="submit" disabled={busy || !name.trim()}>
+                  {busy ? 'Drawing films...' : 'Start a room'}
+                </button>
+              </form>
+            )}
+            <form
+              className="room-form"
+              onSubmit={(e) => {
+                e.preventDefault();
+                joinRoom();
+              }}
+            >
+              <span>Or join</span>
+              <input
+                type="text"
+                placeholder="Room code"
+                value={code}
+                onChange={(e) => setCode(e.target.value.toUpperCase())}
+                maxLength={5}
+              />
+              {!drawCandidates && nameInput}
+              <button
+                type="submit"
+                disabled={busy || !code.trim() || !name.trim()}
+              >
+                Join
+              </button>
+            </form>
+          </>
+        )}
+        {error && <div className="error-message">{error}</div>}
+      </section>
+    );
+  }
+
+  const closed = room.status === 'closed';
+  const { you } = room;
+  const votedCount = room.participants.filter((p) => p.voted).length;
+
+  return (
+    <section className="movie-night">
+      <div className="room-header">
+        <h2>
+          Room <span className="room-code">{room.code}</span> · Round{' '}
+          {room.round}
+        </h2>
+        <div className="room-controls">
+          <button type="button" className="secondary-button" onClick={copyLink}>
+            {copyStatus || 'Copy invite link'}
+          </button>
+          <button type="button" className="secondary-button" onClick={leave}>
+            Leave
+          </button>
+        </div>
+      </div>
+
+      <ul className="room-participants">
+        {room.participants.map((participant, i) => (
+          <li key={`${participant.name}-${i}`}>
+            {participant.name}
+            {participant.host && ' (host)'}
+            {participant.voted && ' ✓'}
+          </li>
+        ))}
+      </ul>
+
+      {closed ? (
+        <p className="room-status">
+          {room.winner
+            ? `Tonight's film: ${
+                room.candidates.find((c) => c.slug === room.winner).title
+              }`
+            : 'Everything was vetoed. Time for another round.'}
+        </p>
+      ) : (
+        <p className="room-status">
+          {votedCount} of {room.participants.length} voted. Vote for one film;
+          you can also veto one.
+        </p>
+      )}
+
+      {you.host && (
+        <div className="room-controls">
+          {!closed && (
+            <button
+              type="button"
+              className="pick-button"
+              onClick={() => act('close')}
+              disabled={busy}
+            >
+              Close voting and reveal
+            </button>
+          )}
+          {drawCandidates ? (
+            <button
+              type="button"
+              className="secondary-button"
+              onClick={nextRound}
+              disabled={busy}
+            >
+              {busy ? 'Drawing films...' : 'New round'}
+            </button>
+          ) : (
+            <span className="room-note">Load the list to draw a new round</span>
+          )}
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="candidate-grid">
+        {room.candidates.map((candidate) => {
+          const vetoed = room.vetoed.includes(candidate.slug);
+          const winner = closed && room.winner === candidate.slug;
+          return (
+            <MovieCard
+              key={candidate.slug}
+              movie={candidate}
+              region={region}
+              onRegionChange={onRegionChange}
+              className={[vetoed && 'vetoed', winner && 'winner']
+                .filter(Boolean)
+                .join(' ')}
+              actions={
+                closed ? (
+                  <span className="vote-count">
+                    {room.tally[candidate.slug]} vote
+                    {room.tally[candidate.slug] === 1 ? '' : 's'}
+                    {vetoed && ' · vetoed'}
+                  </span>
+                ) : (
+                  <>
+                    <button
+                      type="button"
+                      className={you.vote === candidate.slug ? 'active' : ''}
+                      onClick={() => act('vote', { slug: candidate.slug })}
+                      disabled={busy || vetoed}
+                    >
+                      {you.vote === candidate.slug ? 'Voted' : 'Vote'}
+                    </button>
+                    <button
+                      type="button"
+                      className={you.veto === candidate.slug ? 'active' : ''}
+                      onClick={() => act('veto', { slug: candidate.slug })}
+                      disabled={busy || (vetoed && you.veto !== candidate.slug)}
+                    >
+                      {you.veto === candidate.slug ? 'Vetoed · Undo' : 'Veto'}
+                    </button>
+                  </>
+                )
+              }
+            />
+          );
+        })}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,47 @@
+function pluralize(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Explain why a list may be missing films, with a retry for failed pages
+export default function PartialListWarning({ meta, onRetry, retrying }) {
+  if (!meta) return null;
+
+  const { failedPages, truncated, totalPages, pagesFetched, method } = meta;
+  const notes = [];
+
+  if (failedPages.length > 0) {
+    notes.push(
+      `${pluralize(failedPages.length, 'page')} failed to load (${failedPages.join(', ')})`
+    );
+  }
+  if (truncated) {
+    notes.push(
+      totalPages
+        ? `only ${pagesFetched} of ${totalPages} pages were read`
+        : `stopped after ${pluralize(pagesFetched, 'page')}`
+    );
+  }
+  if (method === 'rss') {
+    notes.push('loaded from the RSS feed, which may not include every film');
+  }
+
+  if (notes.length === 0) return null;
+
+  return (
+    <div className="partial-warning" role="alert">
+      <span>
+        <strong>Partial list:</strong> {notes.join('; ')}.
+      </span>
+      {failedPages.length > 0 && (
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={onRetry}
+          disabled={retrying}
+        >
+          {retrying ? 'Retrying...' : 'Retry missing pages'}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import {
+  downloadFile,
+  exportFileName,
+  poolToCsv,
+  poolToJson,
+} from '../lib/export';
+
+// Download the films that can currently be rolled, after filters and
+// exclusions
+export default function PoolExport({ films, totalCount, fileBase, context }) {
+  if (films.length === 0) {
+    return null;
+  }
+
+  const downloadCsv = () =>
+    downloadFile(
+      exportFileName(fileBase, 'csv'),
+      poolToCsv(films),
+      'text/csv'
+    );
+
+  const downloadJson = () =>
+    downloadFile(
+      exportFileName(fileBase, 'json'),
+      poolToJson(films, context),
+      'application/json'
+    );
+
+  return (
+    <div className="pool-export">
+      <span>
+        Download {films.length === totalCount ? 'all' : 'the'}{' '}
+        <strong>{films.length}</strong> film{films.length === 1 ? '' : 's'}
+        {films.length === totalCount ? '' : ' in the pool'}
+      </span>
+      <button
+        type="button"
+        className="secondary-button"
+        onClick={downloadCsv}
+      >
+        CSV
+      </button>
+      <button
+        type="button"
+        className="secondary-button"
+        onClick={downloadJson}
+      >
+        JSON
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import { WATCH_REGIONS } from '../lib/regions';
+
+export default function RegionSelect({ region, onChange }) {
+  return (
+    <select
+      value={region}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label="Watch region"
+    >
+      {Object.entries(WATCH_REGIONS).map(([code, name]) => (
+        <option key={code} value={code}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+}
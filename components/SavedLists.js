@@ -0,0 +1,260 @@
+import { useEffect, useRef, useState } from 'react';
+import { downloadFile } from '../lib/export';
+import {
+  STALE_AFTER,
+  exportLibrary,
+  importLibrary,
+  isStale,
+  libraryWriteError,
+  recordFetch,
+  recordFetchError,
+  removeList,
+  saveList,
+} from '../lib/library';
+
+// How often to look for a saved list that's due a background refresh
+const CHECK_INTERVAL = 60 * 1000;
+
+// Most films to name in a list's changes before summing up the rest
+const MAX_LISTED_CHANGES = 10;
+
+function timeAgo(iso) {
+  const minutes = Math.round((Date.now() - Date.parse(iso)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.round(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+function ChangedFilms({ label, films }) {
+  if (films.length === 0) return null;
+  const shown = films.slice(0, MAX_LISTED_CHANGES);
+  return (
+    <p>
+      <strong>{label}:</strong>{' '}
+      {shown
+        .map((film) => {
+          // Removed films are only remembered by slug
+          if (!film.title) return film.slug;
+          return film.year ? `${film.title} (${film.year})` : film.title;
+        })
+        .join(', ')}
+      {films.length > shown.length &&
+        ` and ${films.length - shown.length} more`}
+    </p>
+  );
+}
+
+function SavedList({
+  entry,
+  active,
+  refreshing,
+  onOpen,
+  onRefresh,
+  onChange,
+}) {
+  const [showChanges, setShowChanges] = useState(false);
+  const { changes } = entry;
+  const changed = changes && changes.added.length + changes.removed.length > 0;
+
+  const rename = () => {
+    const name = window.prompt('Name this list', entry.name);
+    if (name?.trim()) {
+      onChange(saveList({ name: name.trim(), url: entry.url }));
+    }
+  };
+
+  return (
+    <li className={active ? 'active' : ''}>
+      <button
+        type="button"
+        className="saved-list-name"
+        onClick={() => onOpen(entry.url)}
+        title={entry.url}
+      >
+        {entry.name}
+      </button>
+      <div className="saved-list-status">
+        {entry.count !== null && <span>{entry.count} films</span>}
+        <span>
+          {refreshing
+            ? 'refreshing...'
+            : entry.fetchedAt
+              ? `fetched ${timeAgo(entry.fetchedAt)}`
+              : 'not fetched yet'}
+        </span>
+        {changed && (
+          <button
+            type="button"
+            className="saved-list-diff"
+            onClick={() => setShowChanges(!showChanges)}
+          >
+            +{changes.added.length} / −{changes.removed.length}
+          </button>
+        )}
+      </div>
+      {entry.error && !refreshing && (
+        <div className="saved-list-error">{entry.error}</div>
+      )}
+      {changed && showChanges && (
+        <div className="saved-list-changes">
+          <p>Since the fetch {timeAgo(changes.since)}</p>
+          <ChangedFilms label="Added" films={changes.added} />
+          <ChangedFilms label="Removed" films={changes.removed} />
+        </div>
+      )}
+      <div className="saved-list-actions">
+        <button type="button" onClick={onRefresh} disabled={refreshing}>
+          Refresh
+        </button>
+        <button type="button" onClick={rename}>
+          Rename
+        </button>
+        <button type="button" onClick={() => onChange(removeList(entry.url))}>
+          Remove
+        </button>
+      </div>
+    </li>
+  );
+}
+
+// Saved lists to reload in a click. Each remembers what its last fetch
+// found, and lists that haven't been fetched in a while are refreshed in
+// the background, one at a time, while the page is open.
+export default function SavedLists({ library, onChange, current, onOpen }) {
+  const [refreshing, setRefreshing] = useState(null);
+  const [error, setError] = useState('');
+
+  // When each list was last refreshed in the background this visit, so a
+  // list that keeps failing isn't retried every minute
+  const attempted = useRef({});
+
+  const refresh = async (entry) => {
+    setRefreshing(entry.key);
+    try {
+      const response = await fetch(
+        `/api/fetch-list?url=${encodeURIComponent(entry.url)}`
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.films) {
+        throw new Error(data.error || 'Failed to fetch list');
+      }
+      onChange(recordFetch(entry.url, data.films, data.meta));
+    } catch (err) {
+      onChange(recordFetchError(entry.url, err.message));
+    } finally {
+      setRefreshing(null);
+    }
+  };
+
+  useEffect(() => {
+    const refreshStale = () => {
+      if (refreshing || document.hidden) return;
+      const now = Date.now();
+      const due = library.find(
+        (entry) =>
+          isStale(entry, now) &&
+          !(now - (attempted.current[entry.key] || 0) < STALE_AFTER)
+      );
+      if (due) {
+        attempted.current[due.key] = now;
+        refresh(due);
+      }
+    };
+
+    refreshStale();
+    const timer = setInterval(refreshStale, CHECK_INTERVAL);
+    return () => clearInterval(timer);
+    // refresh is recreated every render; library and refreshing cover it
+  }, [library, refreshing]);
+
+  const saveCurrent = () => {
+    const name = window.prompt('Name this list', current.name);
+    if (!name?.trim()) return;
+    saveList({ name: name.trim(), url: current.url });
+    // What's loaded now is its first fetch
+    onChange(recordFetch(current.url, current.films, current.meta));
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setError('');
+      onChange(importLibrary(await file.text()));
+    } catch (err) {
+      setError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  const canSave =
+    current && !library.some((entry) => entry.key === current.key);
+  // Checked each render, since every change to the library re-renders
+  const storageError = libraryWriteError();
+
+  return (
+    <aside className="saved-lists">
+      <div className="saved-lists-header">
+        <h2>Saved lists</h2>
+        {canSave && (
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={saveCurrent}
+          >
+            Save this list
+          </button>
+        )}
+      </div>
+
+      {library.length === 0 ? (
+        <p className="saved-lists-empty">
+          Save a list you've loaded to come back to it in a click.
+        </p>
+      ) : (
+        <ul>
+          {library.map((entry) => (
+            <SavedList
+              key={entry.key}
+              entry={entry}
+              active={current?.key === entry.key}
+              refreshing={refreshing === entry.key}
+              onOpen={onOpen}
+              onRefresh={() => refresh(entry)}
+              onChange={onChange}
+            />
+          ))}
+        </ul>
+      )}
+
+      <div className="saved-lists-footer">
+        {library.length > 0 && (
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={() =>
+              downloadFile(
+                'letterboxd-saved-lists.json',
+                exportLibrary(),
+                'application/json'
+              )
+            }
+          >
+            Export
+          </button>
+        )}
+        <label className="secondary-button">
+          Import
+          <input type="file" accept=".json" onChange={importFile} hidden />
+        </label>
+      </div>
+      {error && <div className="saved-list-error">{error}</div>}
+      {storageError && (
+        <div className="saved-list-error">{storageError}</div>
+      )}
+    </aside>
+  );
+}
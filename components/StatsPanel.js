@@ -0,0 +1,137 @@
+import { formatMinutes, poolStats, watchedShare } from '../lib/stats';
+
+// Vertical bars for an ordered histogram, e.g. films per year. Only some
+// labels fit under a long one, so `labelEvery` thins them out.
+function Histogram({ title, bins, labelEvery = 1 }) {
+  const max = Math.max(...bins.map(([, count]) => count), 1);
+  if (bins.every(([, count]) => count === 0)) return null;
+
+  return (
+    <figure className="stats-chart">
+      <figcaption>{title}</figcaption>
+      <div className="histogram" role="img" aria-label={title}>
+        {bins.map(([label, count], i) => (
+          <div className="histogram-column" key={label}>
+            <div className="histogram-bars">
+              <div
+                className="histogram-bar"
+                style={{ height: `${(count / max) * 100}%` }}
+                title={`${label}: ${count}`}
+              />
+            </div>
+            <span className="histogram-label">
+              {i % labelEvery === 0 ? label : ''}
+            </span>
+          </div>
+        ))}
+      </div>
+    </figure>
+  );
+}
+
+// Horizontal bars for a ranking, e.g. films per genre
+function BarList({ title, items }) {
+  if (items.length === 0) return null;
+  const max = items[0][1];
+
+  return (
+    <figure className="stats-chart">
+      <figcaption>{title}</figcaption>
+      <ul className="bar-list">
+        {items.map(([label, count]) => (
+          <li key={label}>
+            <span className="bar-list-label">{label}</span>
+            <span className="bar-list-track">
+              <span
+                className="bar-list-bar"
+                style={{ width: `${(count / max) * 100}%` }}
+              />
+            </span>
+            <span className="bar-list-count">{count}</span>
+          </li>
+        ))}
+      </ul>
+    </figure>
+  );
+}
+
+// What's in the pool: years, genres, directors, runtimes and ratings.
+// Everything but the years waits on enrichment, which the page runs while
+// this is open; the charts fill in as batches arrive. `listCount` is the
+// list's size before filters, for the share a user has already logged.
+export default function StatsPanel({
+  films,
+  listCount,
+  watched,
+  enrichProgress,
+}) {
+  const stats = poolStats(films);
+  const watchedPercent = watchedShare(watched, listCount);
+  const enriching =
+    enrichProgress && enrichProgress.done < enrichProgress.total;
+  const unmatched = stats.enriched - stats.matched;
+
+  return (
+    <section className="stats-panel">
+      <div className="stats-summary">
+        <div>
+          <strong>{stats.count}</strong>
+          <span>films</span>
+        </div>
+        {stats.runtime.known > 0 && (
+          <>
+            <div>
+              <strong>{formatMinutes(stats.runtime.total)}</strong>
+              <span>total runtime</span>
+            </div>
+            <div>
+              <strong>{stats.runtime.average} min</strong>
+              <span>average runtime</span>
+            </div>
+          </>
+        )}
+        {watchedPercent !== null && (
+          <div>
+            <strong>
+              {watched.truncated ? 'at least ' : ''}
+              {watchedPercent}%
+            </strong>
+            <span>of the list logged by {watched.username}</span>
+          </div>
+        )}
+      </div>
+
+      {enriching && (
+        <p className="stats-progress">
+          {`Loading film details (${enrichProgress.done}/${enrichProgress.total})...`}
+        </p>
+      )}
+      {!enriching && unmatched > 0 && (
+        <p className="stats-progress">
+          {unmatched} film{unmatched === 1 ? '' : 's'} couldn't be matched on
+          TMDB and only count towards the years
+        </p>
+      )}
+
+      <div className="stats-grid">
+        <Histogram title="Decades" bins={stats.decades} />
+        <Histogram
+          title="Release years"
+          bins={stats.years}
+          labelEvery={Math.max(1, Math.ceil(stats.years.length / 8))}
+        />
+        <BarList title="Genres" items={stats.genres} />
+        <BarList title="Top directors" items={stats.directors} />
+        <Histogram
+          title="Letterboxd ratings (out of 5)"
+          bins={stats.letterboxdRatings}
+          labelEvery={2}
+        />
+        <Histogram
+          title="TMDB ratings (out of 10)"
+          bins={stats.tmdbRatings}
+        />
+      </div>
+    </section>
+  );
+}
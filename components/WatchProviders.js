@@ -0,0 +1,56 @@
+import RegionSelect from './RegionSelect';
+import { WATCH_REGIONS } from '../lib/regions';
+
+const GROUPS = [
+  ['flatrate', 'Stream'],
+  ['rent', 'Rent'],
+  ['buy', 'Buy'],
+];
+
+// "Where to watch" on the movie card, from TMDB's JustWatch data
+export default function WatchProviders({ providers, region, onRegionChange }) {
+  const groups = GROUPS.filter(([key]) => providers?.[key]?.length > 0);
+
+  return (
+    <section className="watch-providers">
+      <div className="watch-header">
+        <span className="meta-label">Where to watch in</span>
+        <RegionSelect region={region} onChange={onRegionChange} />
+      </div>
+
+      {groups.length === 0 ? (
+        <p className="watch-empty">
+          Not available to stream, rent or buy in {WATCH_REGIONS[region]}
+        </p>
+      ) : (
+        groups.map(([key, label]) => (
+          <div key={key} className="watch-group">
+            <span className="watch-group-label">{label}</span>
+            <ul>
+              {providers[key].map((provider) => (
+                <li key={provider.id} title={provider.name}>
+                  {provider.logo ? (
+                    <img src={provider.logo} alt={provider.name} />
+                  ) : (
+                    provider.name
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))
+      )}
+
+      {providers?.link && (
+        <a
+          className="watch-attribution"
+          href={providers.link}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          Availability from JustWatch
+        </a>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,122 @@
+import { checkRateLimit } from './ratelimit';
+
+// Shared plumbing for the API routes: one error type with a stable code,
+// one JSON error shape ({ error, code }) and a wrapper that applies rate
+// limiting, method checks and error handling to a handler.
+
+export const ERROR_CODES = {
+  INVALID_PARAMS: 400,
+  INVALID_URL: 400,
+  NOT_ALLOWED: 403,
+  NOT_FOUND: 404,
+  PRIVATE_LIST: 404,
+  METHOD_NOT_ALLOWED: 405,
+  CONFLICT: 409,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+  TMDB_NOT_CONFIGURED: 500,
+  UPSTREAM_ERROR: 502,
+  UPSTREAM_TIMEOUT: 504,
+};
+
+export class ApiError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code] || 500;
+  }
+}
+
+// Turn anything thrown into { status, body }. Upstream fetches abort with
+// a TimeoutError when they take too long, and callers that need an OK
+// response throw an UpstreamError when they don't get one.
+export function toErrorResponse(error, fallbackMessage = 'Request failed') {
+  if (error instanceof ApiError) {
+    return {
+      status: error.status,
+      body: { error: error.message, code: error.code },
+    };
+  }
+
+  if (error?.name === 'TimeoutError') {
+    return {
+      status: ERROR_CODES.UPSTREAM_TIMEOUT,
+      body: {
+        error: 'Letterboxd or TMDB took too long to respond',
+        code: 'UPSTREAM_TIMEOUT',
+      },
+    };
+  }
+
+  if (error?.name === 'UpstreamError') {
+    return {
+      status: ERROR_CODES.UPSTREAM_ERROR,
+      body: {
+        error: `Letterboxd or TMDB failed to respond (status ${error.status})`,
+        code: 'UPSTREAM_ERROR',
+      },
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      error: error instanceof Error ? error.message : fallbackMessage,
+      code: 'INTERNAL_ERROR',
+    },
+  };
+}
+
+export function requireTmdb() {
+  if (!process.env.TMDB_API_KEY) {
+    throw new ApiError('TMDB_NOT_CONFIGURED', 'TMDB API key not configured');
+  }
+}
+
+// Wrap a route handler. Options:
+//   methods    allowed HTTP methods (default GET)
+//   rateLimit  multiple of the per-minute limit for this route (default 1)
+//   name       the rate-limit bucket and log label
+export function withApi(handler, { methods = ['GET'], rateLimit = 1, name }) {
+  return async (req, res) => {
+    // Ensure we always return JSON
+    res.setHeader('Content-Type', 'application/json');
+
+    const limit = checkRateLimit(req, name, rateLimit);
+    res.setHeader('X-RateLimit-Limit', String(limit.limit));
+    res.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+    res.setHeader('X-RateLimit-Reset', String(Math.ceil(limit.resetAt / 1000)));
+    if (!limit.allowed) {
+      res.setHeader(
+        'Retry-After',
+        String(Math.ceil((limit.resetAt - Date.now()) / 1000))
+      );
+      return res.status(429).json({
+        error: 'Too many requests, try again shortly',
+        code: 'RATE_LIMITED',
+      });
+    }
+
+    if (!methods.includes(req.method)) {
+      res.setHeader('Allow', methods.join(', '));
+      return res
+        .status(405)
+        .json({ error: 'Method not allowed', code: 'METHOD_NOT_ALLOWED' });
+    }
+
+    try {
+      return await handler(req, res);
+    } catch (error) {
+      const { status, body } = toErrorResponse(error);
+      if (status >= 500) {
+        console.error(`Error in ${name}:`, error);
+      }
+      // A streaming route may already have started its response
+      if (res.headersSent) {
+        return res.end();
+      }
+      return res.status(status).json(body);
+    }
+  };
+}
@@ -0,0 +1,171 @@
+import { pickFilms } from './strategies';
+import { letterboxdFilmUrl } from './sources';
+
+// Single-elimination brackets. A bracket is its seeded entrants plus the
+// side (0 or 1) picked in each matchup so far, in play order: all of round
+// one, then round two, and so on. Everything else is derived from those,
+// which keeps saved and shared brackets small.
+
+export const BRACKET_SIZES = [8, 16, 32];
+
+const STORAGE_KEY = 'random-letterboxd-movie:bracket';
+
+// Only what a matchup needs to show before its details load
+function toEntrant(film) {
+  return {
+    slug: film.slug,
+    title: film.title,
+    year: film.year || '',
+    poster: film.poster || null,
+    letterboxdUrl: film.letterboxdUrl,
+  };
+}
+
+// `size` films drawn from the list with a seeded shuffle, so no film is in
+// the bracket twice. null if the list is too short.
+export function createBracket(films, size, { seed, listKey = '' }) {
+  if (!BRACKET_SIZES.includes(size) || films.length < size) return null;
+
+  return {
+    seed,
+    listKey,
+    entrants: pickFilms(films, 'shuffle', { seed, count: size }).map(
+      toEntrant
+    ),
+    picks: [],
+  };
+}
+
+// Every round as a list of matchups { a, b, winner }, with entrants not
+// yet known (because an earlier matchup is undecided) left as null
+export function bracketRounds(bracket) {
+  const rounds = [];
+  let players = bracket.entrants;
+  let pickIndex = 0;
+
+  while (players.length > 1) {
+    const matches = [];
+    for (let i = 0; i < players.length; i += 2) {
+      const a = players[i];
+      const b = players[i + 1];
+      const side = bracket.picks[pickIndex++];
+      let winner = null;
+      if (a && b && (side === 0 || side === 1)) {
+        winner = side === 0 ? a : b;
+      }
+      matches.push({ a, b, winner });
+    }
+    rounds.push(matches);
+    players = matches.map((match) => match.winner);
+  }
+
+  return rounds;
+}
+
+export function totalMatches(bracket) {
+  return bracket.entrants.length - 1;
+}
+
+// The next matchup to decide, with its round and position; null when done
+export function nextMatch(bracket) {
+  if (bracket.picks.length >= totalMatches(bracket)) return null;
+
+  let index = bracket.picks.length;
+  const rounds = bracketRounds(bracket);
+  for (let round = 0; round < rounds.length; round++) {
+    if (index < rounds[round].length) {
+      return { round, index, ...rounds[round][index] };
+    }
+    index -= rounds[round].length;
+  }
+  return null;
+}
+
+export function pickSide(bracket, side) {
+  if (!nextMatch(bracket)) return bracket;
+  return { ...bracket, picks: [...bracket.picks, side] };
+}
+
+export function undoPick(bracket) {
+  return { ...bracket, picks: bracket.picks.slice(0, -1) };
+}
+
+export function bracketWinner(bracket) {
+  const rounds = bracketRounds(bracket);
+  return rounds[rounds.length - 1][0].winner;
+}
+
+export function roundName(matchCount) {
+  if (matchCount === 1) return 'Final';
+  if (matchCount === 2) return 'Semi-finals';
+  if (matchCount === 4) return 'Quarter-finals';
+  return `Round of ${matchCount * 2}`;
+}
+
+// The bracket in progress, kept in localStorage so a reload resumes it
+export function loadBracket() {
+  if (typeof window === 'undefined') return null;
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+export function saveBracket(bracket) {
+  try {
+    if (bracket) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(bracket));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Could not save bracket:', error);
+  }
+}
+
+// Shared links carry the whole bracket, so they open without the list:
+// entrants as [slug, title, year] and picks as a string of 0s and 1s,
+// JSON-encoded then base64url'd
+export function encodeBracket(bracket) {
+  const json = JSON.stringify({
+    e: bracket.entrants.map((e) => [e.slug, e.title, e.year]),
+    p: bracket.picks.join(''),
+  });
+  const bytes = new TextEncoder().encode(json);
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+export function decodeBracket(encoded) {
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    const data = JSON.parse(new TextDecoder().decode(bytes));
+
+    const entrants = data.e.map(([slug, title, year]) =>
+      toEntrant({
+        slug: String(slug),
+        title: String(title),
+        year: String(year || ''),
+        letterboxdUrl: letterboxdFilmUrl(String(slug), String(title)),
+      })
+    );
+    const picks = String(data.p || '')
+      .split('')
+      .filter((side) => side === '0' || side === '1')
+      .map(Number);
+
+    if (!BRACKET_SIZES.includes(entrants.length)) return null;
+    if (picks.length > entrants.length - 1) return null;
+    return { seed: null, listKey: '', entrants, picks };
+  } catch (error) {
+    return null;
+  }
+}
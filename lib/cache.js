@@ -0,0 +1,150 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Server-side cache for scraped lists and upstream lookups. Entries are
+// fresh until `ttl`, then served stale for up to `staleTtl` more while a
+// background refresh runs. Pick the store with CACHE_STORE=memory|file.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const NAMESPACES = {
+  lists: { ttl: HOUR, staleTtl: DAY },
+  tmdb: { ttl: 7 * DAY, staleTtl: 30 * DAY },
+  letterboxd: { ttl: 12 * HOUR, staleTtl: 7 * DAY },
+};
+
+const MAX_MEMORY_ENTRIES = 5000;
+
+export function createMemoryStore(maxEntries = MAX_MEMORY_ENTRIES) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, entry) {
+      // Re-insert so the Map's insertion order doubles as recency
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+export function createFileStore(dir) {
+  const fileFor = (key) => {
+    const [namespace] = key.split(':');
+    const hash = createHash('sha1').update(key).digest('hex');
+    return path.join(dir, namespace, `${hash}.json`);
+  };
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch (error) {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      const file = fileFor(key);
+      try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        // Write then rename so readers never see a half-written file
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(entry));
+        await fs.rename(tmp, file);
+      } catch (error) {
+        console.error('Cache write failed:', error);
+      }
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+function createStoreFromEnv() {
+  if (process.env.CACHE_STORE === 'file') {
+    return createFileStore(
+      process.env.CACHE_DIR || path.join(os.tmpdir(), 'letterboxd-cache')
+    );
+  }
+  return createMemoryStore();
+}
+
+let store = createStoreFromEnv();
+const inflight = new Map();
+
+export function setCacheStore(nextStore) {
+  store = nextStore;
+}
+
+function isEmpty(value) {
+  return value == null || (Array.isArray(value) && value.length === 0);
+}
+
+async function refresh(cacheKey, loader, { ttl, staleTtl, cacheIf }) {
+  if (inflight.has(cacheKey)) {
+    return inflight.get(cacheKey);
+  }
+
+  const pending = (async () => {
+    try {
+      const value = await loader();
+      // Empty results are usually transient failures; don't pin them
+      if (!isEmpty(value) && (!cacheIf || cacheIf(value))) {
+        const now = Date.now();
+        await store.set(cacheKey, {
+          value,
+          expiresAt: now + ttl,
+          staleUntil: now + ttl + staleTtl,
+        });
+      }
+      return value;
+    } finally {
+      inflight.delete(cacheKey);
+    }
+  })();
+
+  inflight.set(cacheKey, pending);
+  return pending;
+}
+
+// Return the cached value for namespace/key, calling loader on a miss.
+// Options override the namespace's ttl and staleTtl; cacheIf(value) can
+// veto storing a result, e.g. one that's only partly loaded.
+export async function cached(namespace, key, loader, options = {}) {
+  const config = { ...NAMESPACES[namespace], ...options };
+  const cacheKey = `${namespace}:${key}`;
+
+  let entry = null;
+  try {
+    entry = await store.get(cacheKey);
+  } catch (error) {
+    console.error('Cache read failed:', error);
+  }
+
+  const now = Date.now();
+  if (entry && now < entry.expiresAt) {
+    return entry.value;
+  }
+
+  if (entry && now < entry.staleUntil) {
+    refresh(cacheKey, loader, config).catch((error) => {
+      console.error(`Background refresh failed for ${cacheKey}:`, error);
+    });
+    return entry.value;
+  }
+
+  return refresh(cacheKey, loader, config);
+}
@@ -0,0 +1,47 @@
+// Set operations over several film lists. Films are matched by their
+// Letterboxd slug, the same key dedupeFilms uses.
+
+export const OPERATIONS = {
+  union: 'In any list',
+  intersection: 'In every list',
+  difference: 'In the first list but none of the others',
+};
+
+export function combineFilms(filmLists, operation) {
+  if (filmLists.length === 0) return [];
+
+  const slugSets = filmLists.map((films) => new Set(films.map((f) => f.slug)));
+
+  if (operation === 'intersection') {
+    return filmLists[0].filter((film) =>
+      slugSets.every((slugs) => slugs.has(film.slug))
+    );
+  }
+
+  if (operation === 'difference') {
+    const excluded = slugSets.slice(1);
+    return filmLists[0].filter(
+      (film) => !excluded.some((slugs) => slugs.has(film.slug))
+    );
+  }
+
+  // Union: keep the first occurrence of each slug, in list order
+  const seen = new Set();
+  const combined = [];
+  filmLists.forEach((films) => {
+    films.forEach((film) => {
+      if (seen.has(film.slug)) return;
+      seen.add(film.slug);
+      combined.push(film);
+    });
+  });
+  return combined;
+}
+
+// Count how many films from each list made it into the combined result
+export function countContributions(filmLists, combined) {
+  const resultSlugs = new Set(combined.map((f) => f.slug));
+  return filmLists.map(
+    (films) => films.filter((film) => resultSlugs.has(film.slug)).length
+  );
+}
@@ -0,0 +1,59 @@
+import { fetchTmdbDetails } from './tmdb';
+import { matchTmdbMovie } from './match';
+import { mapWithConcurrency } from './concurrency';
+import { withMoreLikeThis } from './similar';
+import { ApiError, toErrorResponse } from './api';
+
+const BATCH_CONCURRENCY = 3;
+
+// The most films a caller can send as the pool for "more like this"
+export const MAX_POOL_FILMS = 5000;
+
+// Everything the movie card shows for one list entry: TMDB details merged
+// with the Letterboxd page's description and rating. Given the `pool` the
+// film came from (see parsePool), TMDB's related movies are matched against
+// it as `moreLikeThis`; without one they're left as `related`, for whoever
+// holds the list to match (see withMoreLikeThis). The list isn't fetched
+// here, as that would cost a scrape on every cold lookup. Throws NOT_FOUND
+// if the film can't be matched to TMDB.
+export async function fetchMovieDetails({ title, slug, year, region, pool }) {
+  // Use the TMDB ID from the Letterboxd page, else a scored title search
+  const { tmdbId, match, letterboxdData } = await matchTmdbMovie({
+    title,
+    slug,
+    year,
+  });
+
+  if (!tmdbId) {
+    throw new ApiError('NOT_FOUND', 'Movie not found');
+  }
+
+  const tmdbDetails = await fetchTmdbDetails(tmdbId, { region });
+
+  // Merge the data
+  const details = {
+    ...tmdbDetails,
+    description: letterboxdData?.description || tmdbDetails.description || null,
+    letterboxdRating: letterboxdData?.rating || null,
+    match,
+  };
+  return pool ? withMoreLikeThis({ ...details, slug }, pool) : details;
+}
+
+// Details for several list entries at once, a few at a time. Resolves to a
+// result per film, in order: { slug, details }, or { slug, error, code } if
+// that film failed, so one unmatched film doesn't sink the rest.
+export async function fetchMovieDetailsBatch(films, { region, pool }) {
+  return mapWithConcurrency(films, BATCH_CONCURRENCY, async (film) => {
+    try {
+      const details = await fetchMovieDetails({ ...film, region, pool });
+      return { slug: film.slug, details };
+    } catch (error) {
+      const { status, body } = toErrorResponse(error);
+      if (status >= 500) {
+        console.error(`Error fetching details for ${film.slug}:`, error);
+      }
+      return { slug: film.slug, ...body };
+    }
+  });
+}
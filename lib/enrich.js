@@ -0,0 +1,50 @@
+import {
+  fetchTmdbMovie,
+  findDirector,
+  findStreamingProviderIds,
+} from './tmdb';
+import { matchTmdbMovie } from './match';
+import { mapWithConcurrency } from './concurrency';
+
+const ENRICH_CONCURRENCY = 4;
+
+// Attach the TMDB and Letterboxd metadata the filters need to a list entry.
+// Films that can't be matched come back with tmdbId: null. With a region,
+// also lists the services streaming the film there.
+export async function enrichFilm(film, { region } = {}) {
+  const { tmdbId, match, letterboxdData } = await matchTmdbMovie(film);
+  if (!tmdbId) {
+    return { slug: film.slug, tmdbId: null };
+  }
+
+  const movie = await fetchTmdbMovie(tmdbId);
+
+  return {
+    slug: film.slug,
+    tmdbId,
+    matchConfidence: match.confidence,
+    runtime: movie.runtime || null,
+    releaseYear: movie.release_date
+      ? parseInt(movie.release_date.split('-')[0], 10)
+      : null,
+    genres: (movie.genres || []).map((genre) => genre.name),
+    director: findDirector(movie),
+    tmdbRating: movie.vote_average
+      ? parseFloat(movie.vote_average.toFixed(1))
+      : null,
+    letterboxdRating: letterboxdData?.rating || null,
+    streamingRegion: region || null,
+    streamingProviders: region ? findStreamingProviderIds(movie, region) : [],
+  };
+}
+
+export async function enrichFilms(films, options = {}) {
+  return mapWithConcurrency(films, ENRICH_CONCURRENCY, async (film) => {
+    try {
+      return await enrichFilm(film, options);
+    } catch (error) {
+      console.error(`Error enriching ${film.slug}:`, error);
+      return { slug: film.slug, tmdbId: null };
+    }
+  });
+}
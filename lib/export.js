@@ -0,0 +1,99 @@
+// Downloads of the loaded pool and the roll history. The pool exports take
+// films as the page holds them: the list entries from /api/fetch-list with
+// whatever TMDB data enrichment has added, so director, runtime and the
+// like are only filled in for films that have been looked up.
+
+// Quote a CSV field when it holds a comma, quote or line break
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [[header, film => value], ...]
+export function toCsv(rows, columns) {
+  const lines = [
+    columns.map(([header]) => csvField(header)).join(','),
+    ...rows.map((row) =>
+      columns.map(([, value]) => csvField(value(row))).join(',')
+    ),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+const POOL_COLUMNS = [
+  ['Title', (film) => film.title],
+  ['Year', (film) => film.year || film.releaseYear],
+  ['Position', (film) => film.position],
+  ['Letterboxd URL', (film) => film.letterboxdUrl],
+  ['Director', (film) => film.director],
+  ['Runtime', (film) => film.runtime],
+  ['Genres', (film) => film.genres],
+  ['Letterboxd Rating', (film) => film.letterboxdRating],
+  ['TMDB Rating', (film) => film.tmdbRating],
+  ['tmdbID', (film) => film.tmdbId],
+  ['Notes', (film) => film.notes],
+];
+
+export function poolToCsv(films) {
+  return toCsv(films, POOL_COLUMNS);
+}
+
+// `context` says where the pool came from: { sources, operation, filters,
+// excluded }, all optional
+export function poolToJson(films, context = {}) {
+  return JSON.stringify(
+    {
+      exportedAt: new Date().toISOString(),
+      ...context,
+      count: films.length,
+      films,
+    },
+    null,
+    2
+  );
+}
+
+// Letterboxd's import format: https://letterboxd.com/import/. One row per
+// film marked watched, with the day it was marked as the watched date so
+// the import logs it to the diary; films marked before dates were kept
+// import as watched without a diary entry. Marks from before the film's
+// details were kept with them fall back to its pick, while it's still in
+// the log.
+export function historyToLetterboxdCsv(history) {
+  const rows = [...new Set(history.watched)]
+    .map((slug) => {
+      const film =
+        history.watchedFilms?.[slug] ||
+        history.picks.find((pick) => pick.slug === slug);
+      return film && { ...film, slug };
+    })
+    .filter(Boolean);
+
+  return toCsv(rows, [
+    ['Title', (pick) => pick.title],
+    // Details that failed to load leave the year as 'Unknown'
+    ['Year', (pick) => (/^\d{4}$/.test(pick.year) ? pick.year : '')],
+    ['tmdbID', (pick) => pick.tmdbId],
+    ['WatchedDate', (pick) => history.watchedOn?.[pick.slug]],
+  ]);
+}
+
+// "/alice/list/top-films" -> "alice-list-top-films"
+export function exportFileName(path, extension) {
+  const base = (path || 'films')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${base || 'films'}.${extension}`;
+}
+
+// Save a string as a file from the browser
+export function downloadFile(fileName, content, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,100 @@
+import { parseServiceIds } from './regions';
+
+// Pre-roll filters over enriched films. Every field is a string straight from
+// its form input; an empty string means the filter is off.
+
+export const EMPTY_FILTERS = {
+  minRuntime: '',
+  maxRuntime: '',
+  yearFrom: '',
+  yearTo: '',
+  genre: '',
+  director: '',
+  minLetterboxdRating: '',
+  minTmdbRating: '',
+  services: '',
+};
+
+export function hasActiveFilters(filters) {
+  return Object.values(filters).some((value) => String(value).trim() !== '');
+}
+
+// The year range works from the year scraped off the list page; every other
+// filter needs TMDB metadata
+const LIST_PAGE_FILTERS = ['yearFrom', 'yearTo'];
+
+export function filtersNeedEnrichment(filters) {
+  return Object.entries(filters).some(
+    ([key, value]) =>
+      !LIST_PAGE_FILTERS.includes(key) && String(value).trim() !== ''
+  );
+}
+
+// A film missing the data a filter needs never matches that filter
+function atLeast(value, limit) {
+  if (limit === '') return true;
+  return value != null && value >= parseFloat(limit);
+}
+
+function atMost(value, limit) {
+  if (limit === '') return true;
+  return value != null && value <= parseFloat(limit);
+}
+
+export function matchesFilters(film, filters) {
+  if (!atLeast(film.runtime, filters.minRuntime)) return false;
+  if (!atMost(film.runtime, filters.maxRuntime)) return false;
+  const year = film.releaseYear || parseInt(film.year, 10) || null;
+  if (!atLeast(year, filters.yearFrom)) return false;
+  if (!atMost(year, filters.yearTo)) return false;
+  if (!atLeast(film.letterboxdRating, filters.minLetterboxdRating)) return false;
+  if (!atLeast(film.tmdbRating, filters.minTmdbRating)) return false;
+
+  if (filters.genre && !(film.genres || []).includes(filters.genre)) {
+    return false;
+  }
+
+  const director = filters.director.trim().toLowerCase();
+  if (director && !(film.director || '').toLowerCase().includes(director)) {
+    return false;
+  }
+
+  // Streaming availability is for the region the film was enriched with
+  const services = parseServiceIds(filters.services);
+  if (
+    services.length > 0 &&
+    !services.some((id) => (film.streamingProviders || []).includes(id))
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+export function applyFilters(films, filters) {
+  if (!hasActiveFilters(filters)) return films;
+  return films.filter((film) => matchesFilters(film, filters));
+}
+
+// TMDB's fixed movie genre list, for the genre dropdown
+export const TMDB_GENRES = [
+  'Action',
+  'Adventure',
+  'Animation',
+  'Comedy',
+  'Crime',
+  'Documentary',
+  'Drama',
+  'Family',
+  'Fantasy',
+  'History',
+  'Horror',
+  'Music',
+  'Mystery',
+  'Romance',
+  'Science Fiction',
+  'TV Movie',
+  'Thriller',
+  'War',
+  'Western',
+];
@@ -0,0 +1,118 @@
+// Roll history and exclusions, kept in localStorage per list. A list is keyed
+// by its normalized URL, so the same list pasted again finds its history.
+
+const STORAGE_KEY = 'random-letterboxd-movie:history';
+const MAX_PICKS = 50;
+
+// watchedOn maps a watched film's slug to the day it was marked, YYYY-MM-DD,
+// and watchedFilms to its { title, year, tmdbId }: the picks only keep the
+// last MAX_PICKS, and the Letterboxd export needs every watched film
+export const EMPTY_HISTORY = {
+  picks: [],
+  watched: [],
+  hidden: [],
+  watchedOn: {},
+  watchedFilms: {},
+};
+
+function readAll() {
+  if (typeof window === 'undefined') return {};
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeAll(all) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (error) {
+    // Storage full or disabled; history just won't persist
+    console.error('Could not save history:', error);
+  }
+}
+
+export function loadHistory(listKey) {
+  return { ...EMPTY_HISTORY, ...readAll()[listKey] };
+}
+
+function updateHistory(listKey, update) {
+  const all = readAll();
+  const next = update(loadHistory(listKey));
+  all[listKey] = next;
+  writeAll(all);
+  return next;
+}
+
+export function addPick(listKey, film) {
+  return updateHistory(listKey, (history) => ({
+    ...history,
+    picks: [
+      {
+        slug: film.slug,
+        title: film.title,
+        year: film.year,
+        tmdbId: film.tmdbId || null,
+        pickedAt: new Date().toISOString(),
+      },
+      ...history.picks,
+    ].slice(0, MAX_PICKS),
+  }));
+}
+
+// Today in the browser's timezone, as YYYY-MM-DD
+function today() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// status is 'watched', 'hidden', or null to clear any mark
+export function markFilm(listKey, slug, status) {
+  return updateHistory(listKey, (history) => {
+    const watched = history.watched.filter((s) => s !== slug);
+    const hidden = history.hidden.filter((s) => s !== slug);
+    const watchedOn = { ...history.watchedOn };
+    const watchedFilms = { ...history.watchedFilms };
+    delete watchedOn[slug];
+    delete watchedFilms[slug];
+    if (status === 'watched') {
+      // Films are marked from their pick, so it's still in the log
+      const pick = history.picks.find((p) => p.slug === slug);
+      watched.push(slug);
+      watchedOn[slug] = today();
+      if (pick) {
+        watchedFilms[slug] = {
+          title: pick.title,
+          year: pick.year,
+          tmdbId: pick.tmdbId,
+        };
+      }
+    }
+    if (status === 'hidden') hidden.push(slug);
+    return { ...history, watched, hidden, watchedOn, watchedFilms };
+  });
+}
+
+export function filmStatus(history, slug) {
+  if (history.watched.includes(slug)) return 'watched';
+  if (history.hidden.includes(slug)) return 'hidden';
+  return null;
+}
+
+export function excludedSlugs(history) {
+  return new Set([...history.watched, ...history.hidden]);
+}
+
+export function clearHistory(listKey) {
+  const all = readAll();
+  delete all[listKey];
+  writeAll(all);
+  return EMPTY_HISTORY;
+}
+
+// Everything stored, for every list, as a downloadable JSON string
+export function exportHistory() {
+  return JSON.stringify(readAll(), null, 2);
+}
@@ -0,0 +1,292 @@
+import { isFilmSlug, letterboxdFilmUrl } from './sources';
+import { readZipTextFiles } from './zip';
+
+// Lists from files instead of scraping, so private lists work too. Reads
+// Letterboxd's CSV exports (watchlist.csv, watched.csv, lists/*.csv and the
+// rest, or the whole data export ZIP), this app's own CSV and JSON exports,
+// and plain-text or JSON lists of titles. Everything is parsed in the
+// browser and comes out as the same film shape /api/fetch-list returns.
+//
+// Letterboxd's exports link films by boxd.it short links rather than slugs.
+// Those films get a stand-in slug like "boxd:2b0k" (or "title:heat-1995"
+// when there's no link at all): unique and stable for history and
+// enrichment, but not a Letterboxd slug, so details are matched by a TMDB
+// title and year search instead of the film's Letterboxd page.
+
+export const IMPORT_EXTENSIONS = ['.csv', '.zip', '.txt', '.json'];
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+const FILM_URL = /letterboxd\.com\/(?:[^/]+\/)?film\/([^/?#]+)/i;
+const SHORT_URL = /boxd\.it\/([A-Za-z0-9]+)/;
+
+// Accents are dropped so "Amelie" and "Amélie" agree, but letters from any
+// script are kept: a Japanese title mustn't collapse to an empty key and
+// take every other one from its year with it
+function keyFor(title, year) {
+  const words = title
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFKC')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-|-$/g, '');
+  return `title:${words}${year ? `-${year}` : ''}`;
+}
+
+// One imported film. `link` is whatever URL the source gave, if any.
+function importedFilm({ title, year, link, position = null, notes = null }) {
+  const cleanTitle = String(title || '').trim();
+  const cleanYear = /^\d{4}$/.test(String(year || '').trim())
+    ? String(year).trim()
+    : '';
+  if (!cleanTitle) return null;
+
+  const filmSlug = String(link || '').match(FILM_URL)?.[1]?.toLowerCase();
+  const shortCode = String(link || '').match(SHORT_URL)?.[1];
+
+  let slug;
+  let letterboxdUrl;
+  if (isFilmSlug(filmSlug)) {
+    slug = filmSlug;
+    letterboxdUrl = letterboxdFilmUrl(slug);
+  } else if (shortCode) {
+    slug = `boxd:${shortCode}`;
+    letterboxdUrl = `https://boxd.it/${shortCode}`;
+  } else {
+    slug = keyFor(cleanTitle, cleanYear);
+    letterboxdUrl = letterboxdFilmUrl(slug, cleanTitle);
+  }
+
+  return {
+    title: cleanTitle,
+    year: cleanYear,
+    slug,
+    letterboxdUrl,
+    poster: null,
+    position: Number.isInteger(position) ? position : null,
+    notes: notes ? String(notes).trim() || null : null,
+  };
+}
+
+function dedupe(films) {
+  const seen = new Set();
+  return films.filter((film) => {
+    if (!film || seen.has(film.slug)) return false;
+    seen.add(film.slug);
+    return true;
+  });
+}
+
+// CSV
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Column names across Letterboxd's exports and this app's own
+const COLUMNS = {
+  title: ['name', 'title', 'film'],
+  year: ['year', 'release year'],
+  link: ['letterboxd uri', 'letterboxduri', 'url', 'letterboxd url', 'uri'],
+  position: ['position'],
+  notes: ['description', 'notes'],
+};
+
+function columnIndex(header, names) {
+  return header.findIndex((cell) => names.includes(cell.trim().toLowerCase()));
+}
+
+// A CSV of films: { name, films }. List exports start with a block about
+// the list itself (whose Name is the list's title) before the films' own
+// header row, so the films header is the last one with a year column.
+export function filmsFromCsv(text) {
+  const rows = parseCsv(text);
+  let headerRow = -1;
+  rows.forEach((row, i) => {
+    if (
+      columnIndex(row, COLUMNS.title) !== -1 &&
+      (columnIndex(row, COLUMNS.year) !== -1 ||
+        columnIndex(row, COLUMNS.link) !== -1)
+    ) {
+      headerRow = i;
+    }
+  });
+  if (headerRow === -1) return { name: null, films: [] };
+
+  const header = rows[headerRow];
+  const at = (row, column) => {
+    const index = columnIndex(header, COLUMNS[column]);
+    return index === -1 ? '' : row[index];
+  };
+
+  // The list's own title, from the block above the films
+  let name = null;
+  if (headerRow >= 2) {
+    const listHeader = rows.findIndex((row) => columnIndex(row, ['name']) !== -1);
+    if (listHeader !== -1 && listHeader < headerRow) {
+      name = rows[listHeader + 1]?.[columnIndex(rows[listHeader], ['name'])];
+    }
+  }
+
+  const films = rows
+    .slice(headerRow + 1)
+    .filter((row) => row.some((cell) => cell.trim()))
+    .map((row) =>
+      importedFilm({
+        title: at(row, 'title'),
+        year: at(row, 'year'),
+        link: at(row, 'link'),
+        position: parseInt(at(row, 'position'), 10),
+        notes: at(row, 'notes'),
+      })
+    );
+
+  return { name: name || null, films: dedupe(films) };
+}
+
+// Plain text and JSON
+
+// "Heat (1995)", "2. Heat", "- Heat" or a Letterboxd film URL
+function filmFromLine(line) {
+  const text = line
+    .trim()
+    .replace(/^(?:[-*•]|\d+[.)])\s+/, '')
+    .trim();
+  if (!text || text.startsWith('#')) return null;
+
+  const slug = text.match(FILM_URL)?.[1]?.toLowerCase();
+  if (slug) {
+    // The slug is all there is to go on until the details load
+    const [, words, year] = slug.match(/^(.*?)(?:-(\d{4}))?$/);
+    const title = words.replace(/-/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+    return importedFilm({ title, year, link: text });
+  }
+
+  const match = text.match(/^(.*?)\s*\((\d{4})\)$/);
+  return match
+    ? importedFilm({ title: match[1], year: match[2] })
+    : importedFilm({ title: text });
+}
+
+export function filmsFromText(text) {
+  return dedupe(text.split(/\r?\n/).map(filmFromLine));
+}
+
+function filmFromJson(item) {
+  if (typeof item === 'string') return filmFromLine(item);
+  if (!item || typeof item !== 'object') return null;
+  return importedFilm({
+    title: item.title ?? item.name ?? item.filmTitle,
+    year: item.year ?? item.releaseYear,
+    link:
+      item.letterboxdUrl ??
+      item.url ??
+      item.uri ??
+      (item.slug ? `https://letterboxd.com/film/${item.slug}/` : ''),
+    position: item.position,
+    notes: item.notes ?? item.description,
+  });
+}
+
+// An array of titles or film objects, or an object holding one under
+// `films` (as this app's JSON export does)
+export function filmsFromJson(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data?.films || data?.items;
+  if (!Array.isArray(items)) {
+    throw new Error('Expected a JSON array of films or titles');
+  }
+  return dedupe(items.map(filmFromJson));
+}
+
+// Files
+
+function baseName(path) {
+  return path.replace(/\.[^./]+$/, '');
+}
+
+// A Letterboxd data export holds a CSV per list plus watchlist.csv,
+// watched.csv and so on. Every one with films becomes a list to pick from.
+async function listsFromZip(buffer) {
+  const files = await readZipTextFiles(buffer, (name) =>
+    name.toLowerCase().endsWith('.csv')
+  );
+  return files
+    .map((file) => {
+      const { name, films } = filmsFromCsv(file.text);
+      return { name: name || baseName(file.name), file: file.name, films };
+    })
+    .filter((list) => list.films.length > 0);
+}
+
+// Read an uploaded File into the lists it holds: [{ name, file, films }].
+// Only a ZIP can hold more than one.
+export async function readImportFile(file) {
+  if (file.size > MAX_FILE_SIZE) {
+    throw new Error('That file is too large to import');
+  }
+
+  const extension = (file.name.match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+  let lists;
+  if (extension === '.zip') {
+    lists = await listsFromZip(await file.arrayBuffer());
+  } else {
+    const text = await file.text();
+    if (extension === '.csv') {
+      const { name, films } = filmsFromCsv(text);
+      lists = [{ name: name || baseName(file.name), file: file.name, films }];
+    } else if (extension === '.json') {
+      lists = [
+        { name: baseName(file.name), file: file.name, films: filmsFromJson(text) },
+      ];
+    } else {
+      lists = [
+        { name: baseName(file.name), file: file.name, films: filmsFromText(text) },
+      ];
+    }
+  }
+
+  lists = lists.filter((list) => list.films.length > 0);
+  if (lists.length === 0) {
+    throw new Error(`No films found in ${file.name}`);
+  }
+  return lists;
+}
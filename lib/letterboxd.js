@@ -0,0 +1,360 @@
+import * as cheerio from 'cheerio';
+import { parseStringPromise } from 'xml2js';
+import { sourcePageUrl } from './sources';
+import { cached } from './cache';
+import { mapWithConcurrency } from './concurrency';
+import { ApiError } from './api';
+import { UpstreamError, letterboxdUrl, upstreamFetch } from './upstream';
+import {
+  buildFilm,
+  diagnoseFilmPage,
+  diagnoseListPage,
+  parseFilmPage,
+  parseListPage,
+} from './parsers';
+
+// Hard ceiling on pages per list, whatever a request asks for
+const LIST_PAGE_LIMIT = parseInt(process.env.LIST_PAGE_LIMIT, 10) || 200;
+
+// Pages to scrape for a source: the request's maxPages if given, else the
+// source type's default, never above LIST_PAGE_LIMIT
+export function resolvePageLimit(source, requested) {
+  const limit = parseInt(requested, 10) || source.maxPages;
+  return Math.max(1, Math.min(limit, LIST_PAGE_LIMIT));
+}
+
+// Fetch every film for a resolved source, served from the lists cache.
+// Resolves to { films, meta }, where meta says how complete the list is.
+// onPage sees each scraped page as it arrives; it isn't called when the
+// list comes from the cache or the RSS feed.
+export async function fetchSourceFilms(source, { onPage, pageLimit } = {}) {
+  const limit = pageLimit || resolvePageLimit(source);
+  return cached(
+    'lists',
+    `${source.type}:${source.path}:${limit}`,
+    () => loadSourceFilms(source, limit, onPage),
+    // Don't pin empty lists or ones with failed pages; they're worth
+    // fetching again next time
+    {
+      cacheIf: ({ films, meta }) =>
+        films.length > 0 && meta.failedPages.length === 0,
+    }
+  );
+}
+
+// Fetch every film for a resolved source, trying RSS and scraping together
+async function loadSourceFilms(source, pageLimit, onPage) {
+  const [rssFilms, scraped] = await Promise.all([
+    source.rss ? tryRssFeed(source.path) : Promise.resolve(null),
+    scrapeAllPages(source, { pageLimit, onPage }),
+  ]);
+
+  // Prefer scraped results (more complete), fallback to RSS
+  if (scraped.films.length > 0) {
+    return {
+      films: dedupeFilms(scraped.films),
+      meta: { method: 'scrape', ...scraped.meta },
+    };
+  }
+
+  if (rssFilms && rssFilms.length > 0) {
+    // The feed has no pages, and may not carry every film on the list
+    return {
+      films: dedupeFilms(rssFilms),
+      meta: {
+        method: 'rss',
+        totalPages: null,
+        pagesFetched: 0,
+        failedPages: [],
+        truncated: false,
+      },
+    };
+  }
+
+  return { films: [], meta: { method: 'scrape', ...scraped.meta } };
+}
+
+// Why a source came back with no films: UPSTREAM_TIMEOUT if Letterboxd
+// never answered for the first page, UPSTREAM_ERROR if it kept failing
+// (5xx or 429), else PRIVATE_LIST
+export function emptyListError(source, meta) {
+  if (meta.timedOut) {
+    return new ApiError(
+      'UPSTREAM_TIMEOUT',
+      `Letterboxd took too long to return the ${source.label}`
+    );
+  }
+  if (meta.upstreamStatus === 429 || meta.upstreamStatus >= 500) {
+    return new ApiError(
+      'UPSTREAM_ERROR',
+      `Letterboxd is failing to return the ${source.label} ` +
+        `(status ${meta.upstreamStatus}). Try again shortly.`
+    );
+  }
+  return new ApiError(
+    'PRIVATE_LIST',
+    `Could not fetch ${source.label}. It may be private, empty or temporarily unavailable.`
+  );
+}
+
+// Like fetchSourceFilms, but a list with no films is an error
+export async function requireSourceFilms(source, options) {
+  const result = await fetchSourceFilms(source, options);
+  if (result.films.length === 0) {
+    throw emptyListError(source, result.meta);
+  }
+  return result;
+}
+
+// Re-fetch specific pages of a source, e.g. ones that failed earlier.
+// Not cached: the point is to try the network again.
+export async function fetchSourcePages(source, pages) {
+  const films = [];
+  const failedPages = [];
+
+  await mapWithConcurrency(pages, PAGE_CONCURRENCY, async (page) => {
+    try {
+      const result = await fetchListPage(source, page);
+      films[page] = result.films;
+    } catch (error) {
+      console.error(`Error scraping page ${page}:`, error);
+      failedPages.push(page);
+    }
+  });
+
+  return {
+    films: dedupeFilms(films.flat()),
+    failedPages: failedPages.sort((a, b) => a - b),
+  };
+}
+
+async function tryRssFeed(listPath) {
+  try {
+    const rssUrl = letterboxdUrl(`${listPath}/rss/`);
+    const response = await upstreamFetch(rssUrl, {
+      headers: {
+        Accept: 'application/rss+xml,application/xml;q=0.9,*/*;q=0.8',
+      },
+    });
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const text = await response.text();
+
+    // Check if it's actually XML (not an HTML error page)
+    if (!text.trim().startsWith('<?xml') && !text.trim().startsWith('<rss')) {
+      return null;
+    }
+
+    const result = await parseStringPromise(text);
+
+    if (!result.rss?.channel?.[0]?.item) {
+      return null;
+    }
+
+    const films = result.rss.channel[0].item.map((item) => {
+      const link = item.link?.[0] || '';
+      const title = item['letterboxd:filmTitle']?.[0] || item.title?.[0] || '';
+      const year = item['letterboxd:filmYear']?.[0] || '';
+      const slug = link.match(/letterboxd\.com\/film\/([^/]+)/)?.[1] || '';
+
+      // The description holds the poster and any notes as HTML
+      const $description = cheerio.load(item.description?.[0] || '');
+      const poster = $description('img').first().attr('src') || null;
+      $description('img').closest('p').remove();
+      const notes = $description.root().text().trim() || null;
+
+      return buildFilm({ title, year, slug, poster, notes });
+    });
+
+    return films.filter((f) => f.slug);
+  } catch (error) {
+    console.error('RSS feed failed:', error);
+    return null;
+  }
+}
+
+const PAGE_CONCURRENCY = 3;
+
+// Rejects with an UpstreamError if Letterboxd answers with an error status
+async function fetchListPage(source, page) {
+  const url = sourcePageUrl(source, page);
+  const response = await upstreamFetch(url);
+
+  if (!response.ok) {
+    throw new UpstreamError(response.status, url);
+  }
+
+  const html = await response.text();
+  const { films, hasNextPage, lastPage } = parseListPage(
+    cheerio.load(html),
+    source,
+    page
+  );
+  return { films, hasNextPage, lastPage };
+}
+
+// Scrape every page of a source, up to pageLimit. onPage(page, films,
+// totalPages) is called as each page arrives, which may be out of order.
+// Resolves to { films, meta } with the page counts and any failed pages.
+async function scrapeAllPages(source, { pageLimit, onPage = () => {} }) {
+  const meta = {
+    totalPages: null,
+    pagesFetched: 0,
+    failedPages: [],
+    truncated: false,
+  };
+
+  let first = null;
+  try {
+    first = await fetchListPage(source, 1);
+  } catch (error) {
+    console.error('Error scraping page 1:', error);
+    // Tells a slow or failing Letterboxd apart from a private or missing
+    // list, which is a 404
+    if (error.name === 'TimeoutError') meta.timedOut = true;
+    if (error.status) meta.upstreamStatus = error.status;
+  }
+
+  // If first page fails or is empty, stop immediately
+  if (!first || first.films.length === 0) {
+    if (!first) meta.failedPages.push(1);
+    return { films: [], meta };
+  }
+
+  const pages = [first.films];
+  meta.pagesFetched = 1;
+
+  if (!first.hasNextPage) {
+    meta.totalPages = 1;
+    onPage(1, first.films, 1);
+    return { films: first.films, meta };
+  }
+
+  if (first.lastPage > 1) {
+    // We know the page count, so fetch the rest a few at a time
+    meta.totalPages = first.lastPage;
+    meta.truncated = first.lastPage > pageLimit;
+    const lastPage = Math.min(first.lastPage, pageLimit);
+    onPage(1, first.films, lastPage);
+
+    const remaining = Array.from({ length: lastPage - 1 }, (_, i) => i + 2);
+    await mapWithConcurrency(remaining, PAGE_CONCURRENCY, async (page) => {
+      try {
+        const result = await fetchListPage(source, page);
+        pages[page - 1] = result.films;
+        meta.pagesFetched++;
+        onPage(page, result.films, lastPage);
+      } catch (error) {
+        console.error(`Error scraping page ${page}:`, error);
+        meta.failedPages.push(page);
+      }
+    });
+    meta.failedPages.sort((a, b) => a - b);
+  } else {
+    // No page numbers in the markup: follow the next links one by one
+    onPage(1, first.films, null);
+    let page = 2;
+    let hasMore = true;
+    let consecutiveFailures = 0;
+
+    while (hasMore && page <= pageLimit) {
+      try {
+        const result = await fetchListPage(source, page);
+        consecutiveFailures = 0; // Reset on success
+
+        if (result.films.length === 0) {
+          break;
+        }
+
+        pages[page - 1] = result.films;
+        meta.pagesFetched++;
+        onPage(page, result.films, null);
+
+        hasMore = result.hasNextPage;
+        page++;
+        continue;
+      } catch (error) {
+        console.error(`Error scraping page ${page}:`, error);
+        consecutiveFailures++;
+      }
+
+      // Without a next link to follow we can't skip ahead, so a page that
+      // keeps failing ends the scrape with the rest unknown
+      if (consecutiveFailures >= 2) {
+        meta.failedPages.push(page);
+        meta.truncated = true;
+        break;
+      }
+    }
+
+    if (hasMore && page > pageLimit) {
+      meta.truncated = true;
+    }
+    if (!meta.truncated) {
+      meta.totalPages = page - 1;
+    }
+  }
+
+  // Skip pages that failed; flat() drops their empty slots
+  return { films: pages.flat(), meta };
+}
+
+export function dedupeFilms(films) {
+  const seen = new Set();
+  return films.filter((film) => {
+    if (seen.has(film.slug)) {
+      return false;
+    }
+    seen.add(film.slug);
+    return true;
+  });
+}
+
+export async function fetchLetterboxdDetails(slug) {
+  return cached('letterboxd', slug, () => loadLetterboxdDetails(slug));
+}
+
+async function loadLetterboxdDetails(slug) {
+  try {
+    const url = letterboxdUrl(`/film/${slug}/`);
+    const response = await upstreamFetch(url);
+
+    if (!response.ok) {
+      console.error('Letterboxd fetch failed with status:', response.status);
+      return null;
+    }
+
+    const html = await response.text();
+    // Which strategies matched is for logs and diagnostics, not the cache
+    const { strategies, ...details } = parseFilmPage(cheerio.load(html));
+    return details;
+  } catch (error) {
+    console.error('Error fetching Letterboxd details:', error);
+    return null;
+  }
+}
+
+// Run every parsing strategy against one Letterboxd page, either the first
+// page of a source or a film's page, to see which still work. Resolves to
+// { url, status, ...diagnosis }; the diagnosis is left out if the page
+// couldn't be fetched.
+export async function diagnoseLetterboxdPage({ source, filmSlug }) {
+  const url = source
+    ? sourcePageUrl(source, 1)
+    : letterboxdUrl(`/film/${filmSlug}/`);
+  const response = await upstreamFetch(url);
+
+  if (!response.ok) {
+    return { url, status: response.status, fields: null };
+  }
+
+  const $ = cheerio.load(await response.text());
+  return {
+    url,
+    status: response.status,
+    ...(source ? diagnoseListPage($, source) : diagnoseFilmPage($)),
+  };
+}
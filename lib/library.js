@@ -0,0 +1,182 @@
+// Saved lists, kept in localStorage: a name and URL for each, plus what the
+// last fetch found, so the sidebar can show counts, what changed since the
+// fetch before, and which lists are due a refresh. Lists are keyed by their
+// normalized URL, the same key roll history uses. A fetch is remembered as
+// its slugs alone: with full films, a few big watchlists would fill the
+// browser's storage.
+
+const STORAGE_KEY = 'random-letterboxd-movie:library';
+const MAX_SAVED_LISTS = 50;
+
+// Older than this and the sidebar refreshes a list in the background. The
+// server caches lists for an hour, so anything shorter would mostly hit that.
+export const STALE_AFTER = 6 * 60 * 60 * 1000;
+
+export function libraryKey(url) {
+  return url.trim().replace(/\/+$/, '').toLowerCase();
+}
+
+function readLibrary() {
+  if (typeof window === 'undefined') return [];
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Why the last save failed, if it did, for the sidebar to show
+let writeError = null;
+
+function writeLibrary(entries) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    writeError = null;
+  } catch (error) {
+    // Storage full or disabled; the library just won't persist
+    console.error('Could not save library:', error);
+    writeError =
+      "Saved lists couldn't be stored, as the browser's storage is full " +
+      'or disabled. Changes will be lost on reload.';
+  }
+}
+
+export function libraryWriteError() {
+  return writeError;
+}
+
+function updateLibrary(update) {
+  const next = update(readLibrary());
+  writeLibrary(next);
+  return next;
+}
+
+export function loadLibrary() {
+  return readLibrary();
+}
+
+export function findSaved(library, url) {
+  const key = libraryKey(url);
+  return library.find((entry) => entry.key === key) || null;
+}
+
+// Save a list, or rename it if it's already saved. New lists go first.
+export function saveList({ name, url }) {
+  const key = libraryKey(url);
+  return updateLibrary((entries) => {
+    if (entries.some((entry) => entry.key === key)) {
+      return entries.map((entry) =>
+        entry.key === key ? { ...entry, name } : entry
+      );
+    }
+    const entry = {
+      key,
+      name,
+      url: url.trim(),
+      count: null,
+      fetchedAt: null,
+      films: null,
+      changes: null,
+      error: null,
+    };
+    return [entry, ...entries].slice(0, MAX_SAVED_LISTS);
+  });
+}
+
+export function removeList(url) {
+  const key = libraryKey(url);
+  return updateLibrary((entries) =>
+    entries.filter((entry) => entry.key !== key)
+  );
+}
+
+// Films in `films` but not `previous` (slugs, from the fetch before), and
+// the slugs the other way round. Removed films are only known by slug.
+export function diffFilms(previous, films) {
+  const before = new Set(previous);
+  const after = new Set(films.map((film) => film.slug));
+  return {
+    added: films
+      .filter((film) => !before.has(film.slug))
+      .map(({ slug, title, year }) => ({ slug, title, year: year || '' })),
+    removed: previous
+      .filter((slug) => !after.has(slug))
+      .map((slug) => ({ slug })),
+  };
+}
+
+// Record a fetch of a saved list (unsaved URLs are ignored). `changes` is
+// the diff against the fetch before, and only covers complete fetches: a
+// page that failed to load would show its films as removed.
+export function recordFetch(url, films, meta, now = Date.now()) {
+  const key = libraryKey(url);
+  return updateLibrary((entries) =>
+    entries.map((entry) => {
+      if (entry.key !== key) return entry;
+      if (meta?.failedPages?.length > 0) {
+        return { ...entry, error: 'Some pages failed to load' };
+      }
+
+      // Libraries saved before snapshots were slugs hold films
+      const previous = entry.films?.map((film) => film.slug ?? film);
+      return {
+        ...entry,
+        count: films.length,
+        fetchedAt: new Date(now).toISOString(),
+        films: films.map((film) => film.slug),
+        changes: previous
+          ? { since: entry.fetchedAt, ...diffFilms(previous, films) }
+          : null,
+        error: null,
+      };
+    })
+  );
+}
+
+export function recordFetchError(url, message) {
+  const key = libraryKey(url);
+  return updateLibrary((entries) =>
+    entries.map((entry) =>
+      entry.key === key ? { ...entry, error: message } : entry
+    )
+  );
+}
+
+export function isStale(entry, now = Date.now()) {
+  return !entry.fetchedAt || now - Date.parse(entry.fetchedAt) > STALE_AFTER;
+}
+
+// The saved lists as a downloadable JSON string, without the film snapshots
+export function exportLibrary() {
+  return JSON.stringify(
+    readLibrary().map(({ name, url, count, fetchedAt }) => ({
+      name,
+      url,
+      count,
+      fetchedAt,
+    })),
+    null,
+    2
+  );
+}
+
+// Add the lists from an exported library, skipping any already saved or
+// without a name and URL
+export function importLibrary(text) {
+  const imported = JSON.parse(text);
+  if (!Array.isArray(imported)) {
+    throw new Error('Expected a JSON array of saved lists');
+  }
+  let library = readLibrary();
+  imported
+    .filter(
+      (item) => typeof item?.name === 'string' && typeof item?.url === 'string'
+    )
+    .filter((item) => !findSaved(library, item.url))
+    .reverse()
+    .forEach((item) => {
+      library = saveList({ name: item.name, url: item.url });
+    });
+  return library;
+}
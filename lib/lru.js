@@ -0,0 +1,33 @@
+// A small least-recently-used map for the browser, e.g. movie details
+// fetched ahead of the rolls that will show them. Reading an entry makes it
+// the most recent; past `maxEntries`, the least recent is dropped.
+export function createLru(maxEntries) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      // Re-insert so the Map's insertion order doubles as recency
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    has(key) {
+      return entries.has(key);
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, value);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
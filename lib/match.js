@@ -0,0 +1,36 @@
+import { searchTmdbByTitle } from './tmdb';
+import { fetchLetterboxdDetails } from './letterboxd';
+import { isFilmSlug } from './sources';
+
+// Resolve a list entry to a TMDB movie. The Letterboxd film page names its
+// TMDB ID, which is exact; a scored title search is the fallback. Resolves
+// to { tmdbId, match, letterboxdData }, with tmdbId null if nothing fits.
+export async function matchTmdbMovie({ title, slug, year }) {
+  // Imported films may carry a stand-in key rather than a real slug
+  const letterboxdData = isFilmSlug(slug)
+    ? await fetchLetterboxdDetails(slug)
+    : null;
+
+  if (letterboxdData?.tmdbId && letterboxdData.tmdbType !== 'tv') {
+    return {
+      tmdbId: letterboxdData.tmdbId,
+      match: { method: 'letterboxd', confidence: 'exact' },
+      letterboxdData,
+    };
+  }
+
+  const result = await searchTmdbByTitle(title, {
+    year: letterboxdData?.year || year,
+    originalTitle: letterboxdData?.originalTitle,
+  });
+
+  if (!result) {
+    return { tmdbId: null, match: null, letterboxdData };
+  }
+
+  return {
+    tmdbId: result.tmdbId,
+    match: { method: 'search', confidence: result.confidence },
+    letterboxdData,
+  };
+}
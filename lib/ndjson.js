@@ -0,0 +1,23 @@
+// Read a newline-delimited JSON response, calling onMessage for each line
+export async function readNdjson(response, onMessage) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter((line) => line.trim()).forEach((line) => {
+      onMessage(JSON.parse(line));
+    });
+
+    if (done) break;
+  }
+
+  if (buffer.trim()) {
+    onMessage(JSON.parse(buffer));
+  }
+}
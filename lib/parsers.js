@@ -0,0 +1,560 @@
+// Letterboxd page parsing. Each field has an ordered list of extraction
+// strategies, from the current markup through older layouts to plainer
+// sources like JSON-LD and link hrefs; the first that finds a usable value
+// wins. The winning strategy is logged whenever it changes, so a redesign
+// shows up in the logs as a field falling back, and the diagnose functions
+// run every strategy against a page to show which still work.
+
+// Film links as they appear on posters and in the sidebar
+const FILM_HREF =
+  /^(?:https?:\/\/(?:www\.)?letterboxd\.com)?\/film\/([^/?#]+)\/?$/i;
+
+// The one film shape both the RSS and scrape paths produce
+export function buildFilm({
+  title,
+  year,
+  slug,
+  poster = null,
+  position = null,
+  notes = null,
+}) {
+  return {
+    title,
+    year: year ? String(year) : '',
+    slug,
+    letterboxdUrl: `https://letterboxd.com/film/${slug}/`,
+    poster,
+    position,
+    notes,
+  };
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+function attempt(extract, input) {
+  try {
+    return extract(input);
+  } catch (error) {
+    return null;
+  }
+}
+
+// The first strategy whose value passes isUsable: { value, strategy }, with
+// strategy null when none did
+function firstUsable(strategies, input, isUsable = isPresent) {
+  for (const { name, extract } of strategies) {
+    const value = attempt(extract, input);
+    if (isUsable(value)) return { value, strategy: name };
+  }
+  return { value: null, strategy: null };
+}
+
+const lastStrategies = new Map();
+
+// Log when a field starts being parsed a different way. Only required
+// fields warn when nothing works: a film with no rating yet is normal.
+function reportStrategy(field, strategy, { required = false } = {}) {
+  if (!strategy && !required) return;
+  const previous = lastStrategies.get(field);
+  if (previous === strategy) return;
+  lastStrategies.set(field, strategy);
+
+  const was = previous ? ` (was ${previous})` : '';
+  if (strategy) {
+    console.info(`Letterboxd ${field}: parsed with ${strategy}${was}`);
+  } else {
+    console.warn(`Letterboxd ${field}: no strategy found anything${was}`);
+  }
+}
+
+// "Heat (1995)" -> { title: 'Heat', year: '1995' }
+function splitTitleYear(name) {
+  const match = name.match(/^(.*?)\s*\((\d{4})\)\s*$/);
+  return match ? { title: match[1], year: match[2] } : { title: name, year: '' };
+}
+
+// Letterboxd wraps its JSON-LD in a /* <![CDATA[ */ comment
+function readJsonLd($) {
+  const blocks = [];
+  $('script[type="application/ld+json"]').each((_, script) => {
+    const json = ($(script).html() || '')
+      .replace(/\/\*\s*<!\[CDATA\[\s*\*\//, '')
+      .replace(/\/\*\s*\]\]>\s*\*\//, '');
+    try {
+      blocks.push(JSON.parse(json));
+    } catch (error) {
+      // Ignore JSON parse errors
+    }
+  });
+  return blocks;
+}
+
+// List entries
+
+// The element carrying an entry's data attributes: the entry itself or the
+// poster inside it
+function posterOf($el) {
+  const selector = '[data-item-slug], [data-film-slug]';
+  return $el.is(selector) ? $el : $el.find(selector).first();
+}
+
+function filmLinkOf($el) {
+  const $link = $el.is('a') ? $el : $el.find('a[href*="/film/"]').first();
+  const match = ($link.attr('href') || '').match(FILM_HREF);
+  return match ? { $link, slug: match[1] } : null;
+}
+
+const ENTRY_FIELDS = {
+  slug: [
+    {
+      name: 'item-slug',
+      extract: ($el) => posterOf($el).attr('data-item-slug'),
+    },
+    {
+      name: 'film-slug',
+      extract: ($el) => posterOf($el).attr('data-film-slug'),
+    },
+    {
+      name: 'target-link',
+      extract: ($el) => {
+        const link =
+          posterOf($el).attr('data-target-link') ||
+          posterOf($el).attr('data-item-link') ||
+          '';
+        return link.match(FILM_HREF)?.[1];
+      },
+    },
+    { name: 'film-link', extract: ($el) => filmLinkOf($el)?.slug },
+  ],
+  // Titles can carry the year, "Title (Year)"; it's split off below
+  title: [
+    {
+      name: 'full-display-name',
+      extract: ($el) => posterOf($el).attr('data-item-full-display-name'),
+    },
+    {
+      name: 'item-name',
+      extract: ($el) => posterOf($el).attr('data-item-name'),
+    },
+    {
+      name: 'film-name',
+      extract: ($el) => posterOf($el).attr('data-film-name'),
+    },
+    {
+      name: 'image-alt',
+      extract: ($el) => $el.find('img').first().attr('alt'),
+    },
+    {
+      name: 'link-text',
+      extract: ($el) => {
+        const $link = filmLinkOf($el)?.$link;
+        return $link && ($link.attr('title') || $link.text().trim());
+      },
+    },
+  ],
+  year: [
+    {
+      name: 'release-year-attribute',
+      extract: ($el) => posterOf($el).attr('data-film-release-year'),
+    },
+    {
+      name: 'display-name',
+      extract: ($el) => {
+        const $poster = posterOf($el);
+        const name =
+          $poster.attr('data-item-full-display-name') ||
+          $poster.attr('data-item-name') ||
+          filmLinkOf($el)?.$link.attr('title') ||
+          '';
+        return splitTitleYear(name).year;
+      },
+    },
+  ],
+};
+
+const POSTER_BASE = 'https://a.ltrbxd.com/resized/film-poster';
+
+// Where Letterboxd's CDN keeps a film's poster, from the film ID and slug on
+// its poster container: the ID's digits become the path, e.g.
+// 5/1/5/6/8/51568-heat-1995-0-230-0-345-crop.jpg
+function posterFromAttributes($poster) {
+  const id = $poster.attr('data-film-id') || '';
+  const slug =
+    $poster.attr('data-item-slug') || $poster.attr('data-film-slug') || '';
+  if (!/^\d+$/.test(id) || !slug) return null;
+
+  const version = $poster.attr('data-cache-busting-key');
+  const path = `${id.split('').join('/')}/${id}-${slug}-0-230-0-345-crop.jpg`;
+  return `${POSTER_BASE}/${path}${version ? `?v=${version}` : ''}`;
+}
+
+// Lazy-loaded posters start out as a placeholder image, so those are built
+// from the container's attributes instead
+function posterFromElement($el) {
+  const $img = $el.find('img').first();
+  const srcset = ($img.attr('srcset') || '').split(/\s+/)[0];
+  const src = srcset || $img.attr('src') || '';
+  if (src && !src.includes('empty-poster')) return src;
+  return posterFromAttributes($el);
+}
+
+// One list entry as a film, with the strategy that found each field
+function parseEntry($el) {
+  const slug = firstUsable(ENTRY_FIELDS.slug, $el);
+  const name = firstUsable(ENTRY_FIELDS.title, $el);
+  const { title, year: nameYear } = splitTitleYear(String(name.value || ''));
+  const year = firstUsable(ENTRY_FIELDS.year, $el);
+
+  if (!slug.value || !title) {
+    return null;
+  }
+
+  // Ranked lists number each entry; unranked ones have no list-number
+  const rank = parseInt($el.find('.list-number').first().text().trim(), 10);
+
+  // Owner notes only appear in the list's detail view
+  const notes = $el.find('.body-text').first().text().trim() || null;
+
+  const $poster = posterOf($el);
+
+  return {
+    film: buildFilm({
+      title,
+      year: year.value || nameYear,
+      slug: slug.value,
+      poster: posterFromElement($poster.length > 0 ? $poster : $el),
+      position: Number.isInteger(rank) ? rank : null,
+      notes,
+    }),
+    strategies: {
+      slug: slug.strategy,
+      title: name.strategy,
+      year: year.strategy || (nameYear ? name.strategy : null),
+    },
+  };
+}
+
+// Drop matches nested inside another match, e.g. a poster div inside the
+// li that also carries the slug
+function outermost($, elements) {
+  return elements.filter(
+    (el) => !elements.some((other) => other !== el && $.contains(other, el))
+  );
+}
+
+// Where the entries are. Each returns the entry elements to parse.
+const ENTRY_STRATEGIES = [
+  {
+    name: 'list-items',
+    find: ($, source) => $(source.itemSelector).toArray(),
+  },
+  {
+    name: 'poster-attributes',
+    find: ($) =>
+      outermost($, $('[data-item-slug], [data-film-slug]').toArray()).map(
+        (el) => $(el).closest('li, tr').get(0) || el
+      ),
+  },
+  {
+    name: 'film-links',
+    find: ($) => {
+      const seen = new Set();
+      return $('a[href*="/film/"]')
+        .toArray()
+        .filter((a) => {
+          if ($(a).closest('header, footer, nav').length > 0) return false;
+          const slug = ($(a).attr('href') || '').match(FILM_HREF)?.[1];
+          if (!slug || seen.has(slug)) return false;
+          seen.add(slug);
+          return true;
+        });
+    },
+  },
+];
+
+function parseEntries($, elements) {
+  return elements.map((el) => parseEntry($(el))).filter(Boolean);
+}
+
+// The page count and whether there's a next page
+const PAGINATION_FIELDS = {
+  lastPage: [
+    {
+      name: 'page-numbers',
+      extract: ($) => maxPageNumber($, '.paginate-pages a, .paginate-page a'),
+    },
+    {
+      name: 'page-links',
+      extract: ($) =>
+        maxPageNumber(
+          $,
+          '.pagination a[href*="/page/"]:not(.next):not(.previous):not([rel])',
+          ($a) => $a.attr('href').match(/\/page\/(\d+)\/?$/)?.[1]
+        ),
+    },
+  ],
+  hasNextPage: [
+    { name: 'next-link', extract: ($) => $('a.next').length > 0 || null },
+    {
+      name: 'rel-next',
+      extract: ($) => $('a[rel="next"], link[rel="next"]').length > 0 || null,
+    },
+  ],
+};
+
+function maxPageNumber($, selector, read = ($a) => $a.text().trim()) {
+  const numbers = $(selector)
+    .toArray()
+    .map((a) => parseInt(read($(a)), 10))
+    .filter(Number.isInteger);
+  return numbers.length > 0 ? Math.max(...numbers) : null;
+}
+
+// A list page (or one page of any source): { films, hasNextPage, lastPage,
+// strategies }. `page` is the page number it was fetched as.
+export function parseListPage($, source, page) {
+  let films = [];
+  let entryStrategy = null;
+  for (const { name, find } of ENTRY_STRATEGIES) {
+    const parsed = parseEntries($, attempt(() => find($, source)) || []);
+    if (parsed.length > 0) {
+      films = parsed;
+      entryStrategy = name;
+      break;
+    }
+  }
+
+  const lastPage = firstUsable(PAGINATION_FIELDS.lastPage, $);
+  const hasNextPage = firstUsable(PAGINATION_FIELDS.hasNextPage, $);
+
+  const strategies = {
+    entries: entryStrategy,
+    ...(films[0]?.strategies || {}),
+    lastPage: lastPage.strategy,
+    hasNextPage: hasNextPage.strategy,
+  };
+  reportStrategy('list entries', entryStrategy, { required: true });
+  ['slug', 'title', 'year'].forEach((field) =>
+    reportStrategy(`list ${field}`, strategies[field])
+  );
+
+  return {
+    films: films.map((entry) => entry.film),
+    hasNextPage: Boolean(hasNextPage.value),
+    lastPage: Math.max(page, lastPage.value || 0),
+    strategies,
+  };
+}
+
+// Film pages
+
+function parseRating(value) {
+  const parsed = parseFloat(value);
+  return parsed > 0 && parsed <= 5 ? parsed : null;
+}
+
+const FILM_FIELDS = {
+  description: [
+    {
+      name: 'meta-description',
+      extract: ($) => $('meta[name="description"]').attr('content')?.trim(),
+    },
+    {
+      name: 'og-description',
+      extract: ($) =>
+        $('meta[property="og:description"]').attr('content')?.trim(),
+    },
+    {
+      name: 'synopsis',
+      extract: ($) =>
+        $('.review .truncate p, .film-synopsis p').first().text().trim(),
+    },
+  ],
+  // "3.9 out of 5" or just "3.9"
+  rating: [
+    {
+      name: 'twitter-meta',
+      extract: ($) =>
+        parseRating(
+          ($('meta[name="twitter:data2"]').attr('content') || '').match(
+            /^(\d+\.?\d*)/
+          )?.[1]
+        ),
+    },
+    {
+      name: 'json-ld',
+      extract: ($) =>
+        parseRating(
+          readJsonLd($).find((data) => data.aggregateRating)?.aggregateRating
+            .ratingValue
+        ),
+    },
+    {
+      name: 'average-rating',
+      extract: ($) =>
+        parseRating(
+          $('meta[itemprop="ratingValue"]').attr('content') ||
+            $('.average-rating').first().text().trim()
+        ),
+    },
+  ],
+  // Letterboxd links each film to TMDB: { tmdbId, tmdbType }
+  tmdb: [
+    {
+      name: 'body-attributes',
+      extract: ($) => {
+        const tmdbId = $('body').attr('data-tmdb-id');
+        return tmdbId
+          ? { tmdbId, tmdbType: $('body').attr('data-tmdb-type') || null }
+          : null;
+      },
+    },
+    {
+      name: 'tmdb-link',
+      extract: ($) => {
+        const href = $('a[href*="themoviedb.org/"]').attr('href') || '';
+        const match = href.match(/themoviedb\.org\/(movie|tv)\/(\d+)/);
+        return match ? { tmdbId: match[2], tmdbType: match[1] } : null;
+      },
+    },
+    {
+      name: 'tmdb-attributes',
+      extract: ($) => {
+        const $el = $('[data-tmdb-id]').first();
+        return $el.length
+          ? {
+              tmdbId: $el.attr('data-tmdb-id'),
+              tmdbType: $el.attr('data-tmdb-type') || null,
+            }
+          : null;
+      },
+    },
+  ],
+  year: [
+    {
+      name: 'og-title',
+      extract: ($) =>
+        ($('meta[property="og:title"]').attr('content') || '').match(
+          /\((\d{4})\)\s*$/
+        )?.[1],
+    },
+    {
+      name: 'json-ld',
+      extract: ($) =>
+        readJsonLd($)
+          .find((data) => data.releasedEvent)
+          ?.releasedEvent[0]?.startDate?.match(/^\d{4}/)?.[0],
+    },
+    {
+      name: 'release-year',
+      extract: ($) => {
+        const text = $('.releaseyear a, .releasedate a').first().text().trim();
+        return /^\d{4}$/.test(text) ? text : null;
+      },
+    },
+    {
+      name: 'year-link',
+      extract: ($) =>
+        ($('a[href*="/films/year/"]').first().attr('href') || '').match(
+          /\/films\/year\/(\d{4})\//
+        )?.[1],
+    },
+  ],
+  originalTitle: [
+    {
+      name: 'original-name',
+      extract: ($) => $('.originalname').first().text().trim(),
+    },
+  ],
+};
+
+// What the app uses from a film page: { description, rating, tmdbId,
+// tmdbType, year, originalTitle, strategies }
+export function parseFilmPage($) {
+  const results = {};
+  const strategies = {};
+  Object.entries(FILM_FIELDS).forEach(([field, fieldStrategies]) => {
+    const { value, strategy } = firstUsable(fieldStrategies, $);
+    results[field] = value;
+    strategies[field] = strategy;
+    reportStrategy(`film ${field}`, strategy);
+  });
+
+  return {
+    description: results.description || null,
+    rating: results.rating ? parseFloat(results.rating.toFixed(2)) : null,
+    tmdbId: results.tmdb?.tmdbId || null,
+    tmdbType: results.tmdb?.tmdbType || null,
+    year: results.year || null,
+    originalTitle: results.originalTitle || null,
+    strategies,
+  };
+}
+
+// Diagnostics: every strategy, not just the first that works
+
+const SAMPLE_LENGTH = 80;
+
+function sample(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > SAMPLE_LENGTH
+    ? `${text.slice(0, SAMPLE_LENGTH)}…`
+    : text;
+}
+
+function diagnoseField(strategies, input) {
+  return strategies.map(({ name, extract }) => {
+    const value = attempt(extract, input);
+    return {
+      strategy: name,
+      works: isPresent(value),
+      sample: isPresent(value) ? sample(value) : null,
+    };
+  });
+}
+
+// For each field of a list page, which strategies find something. Entry
+// fields are tried on every entry the first working entry strategy finds.
+export function diagnoseListPage($, source) {
+  const entries = ENTRY_STRATEGIES.map(({ name, find }) => {
+    const parsed = parseEntries($, attempt(() => find($, source)) || []);
+    return {
+      strategy: name,
+      works: parsed.length > 0,
+      count: parsed.length,
+      sample: parsed.length > 0 ? sample(parsed[0].film.slug) : null,
+    };
+  });
+
+  const working = ENTRY_STRATEGIES.find((_, i) => entries[i].works);
+  const elements = working ? attempt(() => working.find($, source)) : [];
+  const fields = { entries };
+  Object.entries(ENTRY_FIELDS).forEach(([field, strategies]) => {
+    fields[field] = strategies.map(({ name, extract }) => {
+      const values = elements
+        .map((el) => attempt(extract, $(el)))
+        .filter(isPresent);
+      return {
+        strategy: name,
+        works: values.length > 0,
+        count: values.length,
+        sample: values.length > 0 ? sample(values[0]) : null,
+      };
+    });
+  });
+  Object.entries(PAGINATION_FIELDS).forEach(([field, strategies]) => {
+    fields[field] = diagnoseField(strategies, $);
+  });
+
+  return { entryCount: elements.length, fields };
+}
+
+export function diagnoseFilmPage($) {
+  const fields = {};
+  Object.entries(FILM_FIELDS).forEach(([field, strategies]) => {
+    fields[field] = diagnoseField(strategies, $);
+  });
+  return { fields };
+}
@@ -0,0 +1,51 @@
+// Per-IP rate limiting for the API routes: a fixed window per client and
+// bucket, kept in memory. Like the memory cache, counts are per server
+// process, so this guards against a single noisy client rather than
+// enforcing an exact global quota.
+
+const WINDOW_MS = 60 * 1000;
+const DEFAULT_LIMIT = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 60;
+const MAX_TRACKED_CLIENTS = 10000;
+
+const windows = new Map();
+
+// The connecting address, unless TRUST_PROXY says the app sits behind a
+// proxy (as on Vercel). Then it's the last X-Forwarded-For hop, the one the
+// proxy appended itself: anything before it came from the client, who could
+// send a new one with every request to dodge the limit.
+export function clientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY && typeof forwarded === 'string' && forwarded) {
+    const hops = forwarded.split(',').map((hop) => hop.trim());
+    return hops[hops.length - 1] || 'unknown';
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+// Count a request against `bucket` for this client. `scale` multiplies the
+// default limit, for routes the app itself calls often. Resolves to
+// { allowed, limit, remaining, resetAt }.
+export function checkRateLimit(req, bucket, scale = 1) {
+  const limit = Math.max(1, Math.round(DEFAULT_LIMIT * scale));
+  const key = `${bucket}:${clientIp(req)}`;
+  const now = Date.now();
+
+  let window = windows.get(key);
+  if (!window || now >= window.resetAt) {
+    window = { count: 0, resetAt: now + WINDOW_MS };
+    // Re-insert so the oldest windows are first in line to be dropped
+    windows.delete(key);
+    windows.set(key, window);
+    if (windows.size > MAX_TRACKED_CLIENTS) {
+      windows.delete(windows.keys().next().value);
+    }
+  }
+
+  window.count++;
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    resetAt: window.resetAt,
+  };
+}
@@ -0,0 +1,70 @@
+// Watch-provider regions offered in the UI, as the ISO 3166-1 codes TMDB
+// uses. The picked region is remembered in localStorage.
+
+const STORAGE_KEY = 'random-letterboxd-movie:region';
+
+export const WATCH_REGIONS = {
+  AR: 'Argentina',
+  AU: 'Australia',
+  AT: 'Austria',
+  BE: 'Belgium',
+  BR: 'Brazil',
+  CA: 'Canada',
+  DK: 'Denmark',
+  FI: 'Finland',
+  FR: 'France',
+  DE: 'Germany',
+  IN: 'India',
+  IE: 'Ireland',
+  IT: 'Italy',
+  JP: 'Japan',
+  MX: 'Mexico',
+  NL: 'Netherlands',
+  NZ: 'New Zealand',
+  NO: 'Norway',
+  PL: 'Poland',
+  PT: 'Portugal',
+  KR: 'South Korea',
+  ES: 'Spain',
+  SE: 'Sweden',
+  CH: 'Switzerland',
+  GB: 'United Kingdom',
+  US: 'United States',
+};
+
+export const DEFAULT_REGION = 'US';
+
+export function isWatchRegion(region) {
+  return Object.prototype.hasOwnProperty.call(WATCH_REGIONS, region);
+}
+
+// The saved region, else the one in the browser's language tag
+export function loadRegion() {
+  if (typeof window === 'undefined') return DEFAULT_REGION;
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (isWatchRegion(saved)) return saved;
+  } catch (error) {
+    // Storage disabled; fall through to the browser's language
+  }
+  const fromLanguage = (window.navigator.language || '')
+    .split('-')[1]
+    ?.toUpperCase();
+  return isWatchRegion(fromLanguage) ? fromLanguage : DEFAULT_REGION;
+}
+
+export function saveRegion(region) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, region);
+  } catch (error) {
+    console.error('Could not save region:', error);
+  }
+}
+
+// The services filter is a comma-separated list of TMDB provider IDs
+export function parseServiceIds(value) {
+  return String(value)
+    .split(',')
+    .map((id) => parseInt(id, 10))
+    .filter((id) => id > 0);
+}
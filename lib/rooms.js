@@ -0,0 +1,430 @@
+import { randomInt, randomUUID } from 'crypto';
+import os from 'os';
+import path from 'path';
+import { ApiError } from './api';
+import { createFileStore, createMemoryStore } from './cache';
+import { createRng } from './strategies';
+import { isListEntrySlug, letterboxdFilmUrl } from './sources';
+
+// Movie-night voting rooms. The host draws a few candidates from their list
+// and shares a room code; everyone votes for one film and can veto one per
+// round. Closing the round reveals the winner, and vetoed films stay out of
+// later rounds. Rooms live in the same kind of store as the cache, picked
+// with ROOM_STORE=memory|file. A memory store is per server process, so
+// deployments with several instances need the file store on shared disk or
+// a shared store passed to setRoomStore.
+
+const ROOM_TTL = 6 * 60 * 60 * 1000;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+
+export const MIN_CANDIDATES = 2;
+export const MAX_CANDIDATES = 6;
+const MAX_PARTICIPANTS = 20;
+const MAX_NAME_LENGTH = 30;
+
+// Candidates come from the host's device and are shown on everyone's, so
+// each field is checked against what the cards expect. A wrong type makes
+// the whole request invalid; long text and lists are cut short.
+const INVALID = Symbol('invalid');
+const IMAGE_HOSTS = ['image.tmdb.org', 'a.ltrbxd.com', 's.ltrbxd.com'];
+
+const text = (max) => (value) =>
+  typeof value === 'string' || typeof value === 'number'
+    ? String(value).slice(0, max)
+    : INVALID;
+
+const matching = (pattern) => (value) =>
+  (typeof value === 'string' || typeof value === 'number') &&
+  pattern.test(String(value))
+    ? String(value)
+    : INVALID;
+
+const rating = (max) => (value) =>
+  Number.isFinite(value) && value >= 0 && value <= max ? value : INVALID;
+
+const listOf = (clean, max) => (value) => {
+  if (!Array.isArray(value)) return INVALID;
+  const items = value.slice(0, max).map(clean);
+  return items.includes(INVALID) ? INVALID : items;
+};
+
+// Posters and headshots only from TMDB's and Letterboxd's image hosts
+function imageUrl(value) {
+  if (typeof value !== 'string' || value.length > 500) return INVALID;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && IMAGE_HOSTS.includes(url.hostname)
+      ? value
+      : INVALID;
+  } catch (error) {
+    return INVALID;
+  }
+}
+
+function castMember(value) {
+  if (!value || typeof value !== 'object') return INVALID;
+  const name = text(100)(value.name);
+  const character =
+    value.character == null ? null : text(200)(value.character);
+  const profile = value.profile == null ? null : imageUrl(value.profile);
+  return [name, character, profile].includes(INVALID)
+    ? INVALID
+    : { name, character, profile };
+}
+
+// Only what the candidate cards show is kept, so a room stays small. The
+// Letterboxd link isn't taken from the host; it's rebuilt from the slug.
+const CANDIDATE_FIELDS = {
+  year: text(10),
+  poster: imageUrl,
+  tmdbId: matching(/^\d{1,12}$/),
+  director: text(200),
+  runtime: text(20),
+  certification: text(20),
+  genres: listOf(text(50), 20),
+  language: text(50),
+  cast: listOf(castMember, 10),
+  tagline: text(300),
+  originalTitle: text(200),
+  description: text(2000),
+  trailerKey: matching(/^[\w-]{1,32}$/),
+  letterboxdRating: rating(5),
+  tmdbRating: rating(10),
+  position: (value) =>
+    Number.isInteger(value) && value > 0 && value < 1e6 ? value : INVALID,
+  notes: text(2000),
+};
+
+function cleanCandidate(candidate) {
+  const title = text(200)(candidate.title);
+  if (!isListEntrySlug(candidate.slug) || title === INVALID || !title) {
+    throw new ApiError('INVALID_PARAMS', 'Every film needs a slug and title');
+  }
+
+  const kept = {
+    slug: candidate.slug,
+    title,
+    letterboxdUrl: letterboxdFilmUrl(candidate.slug, title),
+  };
+  Object.entries(CANDIDATE_FIELDS).forEach(([field, clean]) => {
+    const value = candidate[field];
+    if (value === undefined) return;
+    const cleaned = value === null ? null : clean(value);
+    if (cleaned === INVALID) {
+      throw new ApiError('INVALID_PARAMS', `Invalid ${field} for ${title}`);
+    }
+    kept[field] = cleaned;
+  });
+  return kept;
+}
+
+function createStoreFromEnv() {
+  if (process.env.ROOM_STORE === 'file') {
+    return createFileStore(
+      process.env.ROOM_DIR || path.join(os.tmpdir(), 'letterboxd-rooms')
+    );
+  }
+  return createMemoryStore();
+}
+
+let store = createStoreFromEnv();
+
+export function setRoomStore(nextStore) {
+  store = nextStore;
+}
+
+export function normalizeRoomCode(code) {
+  return String(code || '')
+    .trim()
+    .toUpperCase();
+}
+
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+async function readRoom(code) {
+  const entry = await store.get(`rooms:${code}`);
+  if (!entry || Date.now() > entry.expiresAt) {
+    throw new ApiError('NOT_FOUND', 'Room not found or expired');
+  }
+  return entry.value;
+}
+
+async function writeRoom(room) {
+  await store.set(`rooms:${room.code}`, {
+    value: room,
+    expiresAt: Date.now() + ROOM_TTL,
+  });
+}
+
+// Updates to one room run one at a time, so two votes landing together
+// can't overwrite each other. This only holds within a process.
+const queues = new Map();
+
+function updateRoom(code, update) {
+  const previous = queues.get(code) || Promise.resolve();
+  const next = previous
+    .catch(() => {})
+    .then(async () => {
+      const room = await readRoom(code);
+      const result = update(room);
+      await writeRoom(room);
+      return result;
+    });
+
+  queues.set(code, next);
+  next
+    .catch(() => {})
+    .finally(() => {
+      if (queues.get(code) === next) queues.delete(code);
+    });
+  return next;
+}
+
+function cleanName(name) {
+  const trimmed = String(name || '')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH);
+  if (!trimmed) {
+    throw new ApiError('INVALID_PARAMS', 'A name is required');
+  }
+  return trimmed;
+}
+
+function cleanCandidates(candidates, excluded = []) {
+  if (!Array.isArray(candidates)) {
+    throw new ApiError('INVALID_PARAMS', 'Candidates are required');
+  }
+
+  if (candidates.length > MAX_CANDIDATES * 2) {
+    throw new ApiError('INVALID_PARAMS', 'Too many films');
+  }
+
+  const seen = new Set(excluded);
+  const cleaned = [];
+  candidates.forEach((candidate) => {
+    if (!candidate || typeof candidate !== 'object') {
+      throw new ApiError('INVALID_PARAMS', 'Every film needs a slug and title');
+    }
+    if (seen.has(candidate.slug)) return;
+    const kept = cleanCandidate(candidate);
+    seen.add(kept.slug);
+    cleaned.push(kept);
+  });
+
+  if (cleaned.length < MIN_CANDIDATES || cleaned.length > MAX_CANDIDATES) {
+    throw new ApiError(
+      'INVALID_PARAMS',
+      `Pick between ${MIN_CANDIDATES} and ${MAX_CANDIDATES} films`
+    );
+  }
+  return cleaned;
+}
+
+function findParticipant(room, participantId) {
+  const participant = room.participants.find((p) => p.id === participantId);
+  if (!participant) {
+    throw new ApiError('NOT_ALLOWED', 'Join the room first');
+  }
+  return participant;
+}
+
+function requireHost(room, participantId) {
+  if (participantId !== room.hostId) {
+    throw new ApiError('NOT_ALLOWED', 'Only the host can do that');
+  }
+}
+
+function requireVoting(room) {
+  if (room.status !== 'voting') {
+    throw new ApiError('CONFLICT', 'Voting has closed for this round');
+  }
+}
+
+function requireCandidate(room, slug) {
+  if (!room.candidates.some((candidate) => candidate.slug === slug)) {
+    throw new ApiError('INVALID_PARAMS', 'That film is not in this round');
+  }
+}
+
+function vetoedSlugs(room) {
+  return new Set(room.participants.map((p) => p.veto).filter(Boolean));
+}
+
+// Most votes among the films nobody vetoed. Ties are broken by a seed made
+// from the room and round, so every device reveals the same winner.
+function pickWinner(room) {
+  const vetoed = vetoedSlugs(room);
+  const tally = tallyVotes(room);
+  const eligible = room.candidates.filter((c) => !vetoed.has(c.slug));
+  if (eligible.length === 0) return null;
+
+  const top = Math.max(...eligible.map((c) => tally[c.slug]));
+  const tied = eligible.filter((c) => tally[c.slug] === top);
+  const rng = createRng(`${room.code}:${room.round}`);
+  return tied[Math.floor(rng() * tied.length)].slug;
+}
+
+function tallyVotes(room) {
+  const tally = {};
+  room.candidates.forEach((candidate) => {
+    tally[candidate.slug] = 0;
+  });
+  room.participants.forEach((participant) => {
+    if (participant.vote in tally) tally[participant.vote]++;
+  });
+  return tally;
+}
+
+// What any device may see. Votes stay secret until the round closes;
+// vetoes are shown straight away so nobody votes for a dead film.
+export function publicRoom(room, participantId = null) {
+  const you = room.participants.find((p) => p.id === participantId) || null;
+  const closed = room.status === 'closed';
+
+  return {
+    code: room.code,
+    round: room.round,
+    status: room.status,
+    candidates: room.candidates,
+    participants: room.participants.map((p) => ({
+      name: p.name,
+      host: p.id === room.hostId,
+      voted: Boolean(p.vote),
+      vetoed: Boolean(p.veto),
+    })),
+    vetoed: [...vetoedSlugs(room)],
+    excluded: room.excluded,
+    tally: closed ? tallyVotes(room) : null,
+    winner: closed ? room.winner : null,
+    you: you
+      ? {
+          name: you.name,
+          host: you.id === room.hostId,
+          vote: you.vote,
+          veto: you.veto,
+        }
+      : null,
+  };
+}
+
+export async function createRoom({ name, candidates }) {
+  const hostName = cleanName(name);
+  const cleaned = cleanCandidates(candidates);
+
+  // Five characters from 32 leaves plenty of room; retry the rare clash
+  let code = generateCode();
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      await readRoom(code);
+      code = generateCode();
+    } catch (error) {
+      break;
+    }
+  }
+
+  const hostId = randomUUID();
+  const room = {
+    code,
+    round: 1,
+    status: 'voting',
+    candidates: cleaned,
+    hostId,
+    participants: [{ id: hostId, name: hostName, vote: null, veto: null }],
+    excluded: [],
+    winner: null,
+  };
+  await writeRoom(room);
+
+  return { room: publicRoom(room, hostId), participantId: hostId };
+}
+
+export async function getRoom(code, participantId) {
+  return publicRoom(await readRoom(code), participantId);
+}
+
+export async function joinRoom(code, name) {
+  const participantName = cleanName(name);
+  const id = randomUUID();
+
+  const room = await updateRoom(code, (current) => {
+    if (current.participants.length >= MAX_PARTICIPANTS) {
+      throw new ApiError('CONFLICT', 'This room is full');
+    }
+    current.participants.push({
+      id,
+      name: participantName,
+      vote: null,
+      veto: null,
+    });
+    return current;
+  });
+
+  return { room: publicRoom(room, id), participantId: id };
+}
+
+// Vote for one film; voting for the same film again takes the vote back
+export async function castVote(code, participantId, slug) {
+  const room = await updateRoom(code, (current) => {
+    requireVoting(current);
+    requireCandidate(current, slug);
+    if (vetoedSlugs(current).has(slug)) {
+      throw new ApiError('CONFLICT', 'That film has been vetoed');
+    }
+    const participant = findParticipant(current, participantId);
+    participant.vote = participant.vote === slug ? null : slug;
+    return current;
+  });
+  return publicRoom(room, participantId);
+}
+
+// One veto per person per round; vetoing the same film again lifts it
+export async function castVeto(code, participantId, slug) {
+  const room = await updateRoom(code, (current) => {
+    requireVoting(current);
+    requireCandidate(current, slug);
+    const participant = findParticipant(current, participantId);
+    participant.veto = participant.veto === slug ? null : slug;
+    return current;
+  });
+  return publicRoom(room, participantId);
+}
+
+export async function closeVoting(code, participantId) {
+  const room = await updateRoom(code, (current) => {
+    requireHost(current, participantId);
+    requireVoting(current);
+    current.status = 'closed';
+    current.winner = pickWinner(current);
+    return current;
+  });
+  return publicRoom(room, participantId);
+}
+
+// Start another round with fresh candidates. This round's vetoes join the
+// excluded list, and any excluded film among the new candidates is dropped.
+export async function startRound(code, participantId, candidates) {
+  const room = await updateRoom(code, (current) => {
+    requireHost(current, participantId);
+    const excluded = [
+      ...new Set([...current.excluded, ...vetoedSlugs(current)]),
+    ];
+    current.candidates = cleanCandidates(candidates, excluded);
+    current.excluded = excluded;
+    current.round++;
+    current.status = 'voting';
+    current.winner = null;
+    current.participants.forEach((participant) => {
+      participant.vote = null;
+      participant.veto = null;
+    });
+    return current;
+  });
+  return publicRoom(room, participantId);
+}
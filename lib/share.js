@@ -0,0 +1,78 @@
+import { EMPTY_FILTERS } from './filters';
+import { OPERATIONS } from './combine';
+import { STRATEGIES } from './strategies';
+import { isWatchRegion } from './regions';
+
+// Round-trip a roll through the page's query string so a link reproduces
+// the same list, options and film.
+
+export function buildShareQuery({
+  mode,
+  url,
+  combineUrls,
+  operation,
+  excludeUser,
+  strategy,
+  filters,
+  region,
+  seed,
+  roll,
+}) {
+  const query = {};
+
+  if (mode === 'combine') {
+    query.url = combineUrls.filter((u) => u.trim());
+    query.op = operation;
+  } else {
+    query.url = url.trim();
+  }
+
+  if (excludeUser) {
+    query.exclude = excludeUser;
+  }
+
+  if (strategy !== 'uniform') {
+    query.strategy = strategy;
+  }
+
+  Object.keys(EMPTY_FILTERS).forEach((key) => {
+    const value = String(filters[key]).trim();
+    if (value) query[key] = value;
+  });
+
+  // Which films are on the picked services depends on the region
+  if (filters.services && region) {
+    query.region = region;
+  }
+
+  query.seed = seed;
+  query.roll = String(roll);
+  return query;
+}
+
+// Parse a Next.js router query back into page state; null if there's no list
+export function parseShareQuery(query) {
+  const urls = [].concat(query.url || []).filter(Boolean);
+  if (urls.length === 0) return null;
+
+  const combine = urls.length > 1;
+  const filters = { ...EMPTY_FILTERS };
+  Object.keys(EMPTY_FILTERS).forEach((key) => {
+    if (typeof query[key] === 'string') filters[key] = query[key];
+  });
+
+  const roll = parseInt(query.roll, 10);
+
+  return {
+    mode: combine ? 'combine' : 'single',
+    url: combine ? '' : urls[0],
+    combineUrls: combine ? urls : ['', ''],
+    operation: OPERATIONS[query.op] ? query.op : 'union',
+    excludeUser: typeof query.exclude === 'string' ? query.exclude : '',
+    strategy: STRATEGIES[query.strategy] ? query.strategy : 'uniform',
+    filters,
+    region: isWatchRegion(query.region) ? query.region : null,
+    seed: typeof query.seed === 'string' && query.seed ? query.seed : null,
+    roll: Number.isInteger(roll) && roll >= 0 ? roll : 0,
+  };
+}
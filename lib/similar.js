@@ -0,0 +1,72 @@
+const MAX_SIMILAR = 6;
+
+// Titles as compared across Letterboxd and TMDB. Kept here rather than with
+// the TMDB client so the browser can match related films too. Accents go,
+// as in imported films' keys, but letters from any script stay, so a
+// Japanese or Russian title doesn't come out empty.
+export function normalizeTitle(title) {
+  return (title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Films from a list that TMDB relates to the pick. TMDB's related movies
+// have no Letterboxd slugs, so they're matched to list entries by title
+// (or original title) and a release year no more than one apart. Titles
+// that normalize to nothing, like "!!!", match nothing.
+export function findSimilarInList(related, films, pickedSlug) {
+  const byTitle = new Map();
+  films.forEach((film) => {
+    if (film.slug === pickedSlug) return;
+    const key = normalizeTitle(film.title);
+    if (!key) return;
+    if (!byTitle.has(key)) byTitle.set(key, []);
+    byTitle.get(key).push(film);
+  });
+
+  const similar = [];
+  const used = new Set();
+
+  for (const movie of related) {
+    if (similar.length >= MAX_SIMILAR) break;
+
+    const candidates = [movie.title, movie.originalTitle]
+      .map(normalizeTitle)
+      .filter(Boolean)
+      .flatMap((key) => byTitle.get(key) || []);
+
+    const film = candidates.find(
+      (candidate) =>
+        !used.has(candidate.slug) &&
+        (!candidate.year ||
+          !movie.year ||
+          Math.abs(parseInt(candidate.year, 10) - parseInt(movie.year, 10)) <= 1)
+    );
+
+    if (film) {
+      used.add(film.slug);
+      similar.push({
+        slug: film.slug,
+        title: film.title,
+        year: film.year,
+        poster: film.poster,
+        letterboxdUrl: film.letterboxdUrl,
+      });
+    }
+  }
+
+  return similar;
+}
+
+// Movie details as the card shows them: TMDB's `related` movies swapped for
+// the ones on `films`, the pool the pick came from
+export function withMoreLikeThis({ related = [], ...details }, films) {
+  return {
+    ...details,
+    moreLikeThis: findSimilarInList(related, films, details.slug),
+  };
+}
@@ -0,0 +1,179 @@
+import { letterboxdUrl } from './upstream';
+
+// Letterboxd source types. Each entry knows how to recognise its URLs, how to
+// build a canonical path, how that path paginates and where the film posters
+// live in the page markup. Order matters: the first matching type wins.
+
+const POSTER_ITEMS = 'li.posteritem, li.griditem, li.poster-container';
+
+// First path segments that are site sections rather than usernames
+const RESERVED_SEGMENTS = new Set(['film', 'films', 'tag', 'list', 'lists']);
+
+const SOURCE_TYPES = [
+  {
+    type: 'list',
+    label: 'list',
+    pattern: /^\/([^/]+)\/list\/([^/]+)/,
+    toPath: (m) => `/${m[1]}/list/${m[2]}`,
+    rss: true,
+    itemSelector: POSTER_ITEMS,
+    maxPages: 100,
+  },
+  {
+    type: 'watchlist',
+    label: 'watchlist',
+    pattern: /^\/([^/]+)\/watchlist(?:\/|$)/,
+    toPath: (m) => `/${m[1]}/watchlist`,
+    rss: false,
+    itemSelector: POSTER_ITEMS,
+    maxPages: 100,
+  },
+  {
+    type: 'likes',
+    label: 'likes page',
+    pattern: /^\/([^/]+)\/likes\/films(?:\/|$)/,
+    toPath: (m) => `/${m[1]}/likes/films`,
+    rss: false,
+    itemSelector: POSTER_ITEMS,
+    maxPages: 100,
+  },
+  {
+    // Diary entries are table rows, and a rewatched film appears once per log
+    type: 'diary',
+    label: 'diary',
+    pattern: /^\/([^/]+)\/films\/diary((?:\/for\/\d{4}(?:\/\d{2})?)?)/,
+    toPath: (m) => `/${m[1]}/films/diary${m[2]}`,
+    rss: false,
+    itemSelector: 'tr.diary-entry-row',
+    maxPages: 100,
+  },
+  {
+    type: 'genre',
+    label: 'genre page',
+    pattern: /^\/(?:([^/]+)\/)?films\/genre\/([^/]+)/,
+    toPath: (m) => (m[1] ? `/${m[1]}/films/genre/${m[2]}` : `/films/genre/${m[2]}`),
+    rss: false,
+    itemSelector: POSTER_ITEMS,
+    // Site-wide genre pages run to thousands of films; keep to the popular end
+    maxPages: (path) => (path.startsWith('/films/') ? 10 : 100),
+    // Site-wide browse pages load their posters from an ajax endpoint
+    scrapePath: (path) => path.replace(/^\/films\//, '/films/ajax/'),
+  },
+  {
+    type: 'decade',
+    label: 'decade page',
+    pattern: /^\/(?:([^/]+)\/)?films\/decade\/(\d{4}s)/,
+    toPath: (m) => (m[1] ? `/${m[1]}/films/decade/${m[2]}` : `/films/decade/${m[2]}`),
+    rss: false,
+    itemSelector: POSTER_ITEMS,
+    maxPages: (path) => (path.startsWith('/films/') ? 10 : 100),
+    scrapePath: (path) => path.replace(/^\/films\//, '/films/ajax/'),
+  },
+  {
+    type: 'tag',
+    label: 'tag page',
+    pattern: /^\/(?:([^/]+)\/)?tag\/([^/]+)/,
+    toPath: (m) => (m[1] ? `/${m[1]}/tag/${m[2]}/films` : `/tag/${m[2]}/films`),
+    rss: false,
+    itemSelector: POSTER_ITEMS,
+    maxPages: (path) => (path.startsWith('/tag/') ? 10 : 100),
+  },
+  {
+    type: 'films',
+    label: 'films page',
+    pattern: /^\/([^/]+)\/films(?:\/|$)/,
+    toPath: (m) => `/${m[1]}/films`,
+    rss: false,
+    itemSelector: POSTER_ITEMS,
+    maxPages: 100,
+  },
+];
+
+// The lowercased path of a letterboxd.com URL (the scheme is optional), or
+// null for anything else
+function letterboxdPathname(url) {
+  if (!url) return null;
+
+  try {
+    const parsed = new URL(
+      /^https?:\/\//i.test(url.trim()) ? url.trim() : `https://${url.trim()}`
+    );
+    if (!/(^|\.)letterboxd\.com$/i.test(parsed.hostname)) {
+      return null;
+    }
+    return parsed.pathname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Resolve a Letterboxd URL to its source type and canonical path, or null
+export function resolveSource(url) {
+  let pathname = letterboxdPathname(url);
+  if (!pathname) return null;
+
+  // Drop any page suffix so we always start from the first page
+  pathname = pathname.replace(/\/page\/\d+\/?$/, '/');
+
+  for (const source of SOURCE_TYPES) {
+    const match = pathname.match(source.pattern);
+    if (!match) continue;
+    if (match[1] && RESERVED_SEGMENTS.has(match[1])) continue;
+
+    const path = source.toPath(match);
+    return {
+      type: source.type,
+      label: source.label,
+      path,
+      rss: source.rss,
+      scrapePath: source.scrapePath ? source.scrapePath(path) : path,
+      itemSelector: source.itemSelector,
+      maxPages:
+        typeof source.maxPages === 'function'
+          ? source.maxPages(path)
+          : source.maxPages,
+    };
+  }
+
+  return null;
+}
+
+// The slug of a film page URL like letterboxd.com/film/heat-1995/, or null
+export function resolveFilmSlug(url) {
+  const pathname = letterboxdPathname(url);
+  return pathname?.match(/^\/film\/([^/]+)/)?.[1] || null;
+}
+
+// Film slugs as Letterboxd writes them, e.g. heat-1995. Imported films with
+// no known slug get a key that deliberately isn't one (see lib/imports).
+export function isFilmSlug(slug) {
+  return typeof slug === 'string' && /^[a-z0-9][a-z0-9-]*$/.test(slug);
+}
+
+const MAX_SLUG_LENGTH = 200;
+
+// A Letterboxd slug, or the keys imported films get instead (see
+// lib/imports.js)
+export function isListEntrySlug(slug) {
+  return (
+    typeof slug === 'string' &&
+    slug.length <= MAX_SLUG_LENGTH &&
+    (isFilmSlug(slug) || /^(boxd|title):[^\s<>"']+$/u.test(slug))
+  );
+}
+
+// A film's Letterboxd page, or a title search when its slug isn't known
+export function letterboxdFilmUrl(slug, title) {
+  if (isFilmSlug(slug)) {
+    return `https://letterboxd.com/film/${slug}/`;
+  }
+  const query = encodeURIComponent(title || '');
+  return `https://letterboxd.com/search/films/${query}/`;
+}
+
+// Build the URL for a given page of a resolved source
+export function sourcePageUrl(source, page) {
+  return page === 1
+    ? letterboxdUrl(`${source.scrapePath}/`)
+    : letterboxdUrl(`${source.scrapePath}/page/${page}/`);
+}
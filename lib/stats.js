@@ -0,0 +1,120 @@
+// Summaries of a pool of films for the stats view. Years come from the list
+// itself; everything else needs the TMDB and Letterboxd data enrichment
+// adds, so it only covers the films enriched so far.
+
+const TOP_DIRECTORS = 10;
+
+function countBy(values) {
+  const counts = new Map();
+  values.forEach((value) => {
+    if (value === null || value === undefined || value === '') return;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return counts;
+}
+
+// Most first; ties alphabetically
+function ranked(counts) {
+  return [...counts.entries()].sort(
+    (a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0]))
+  );
+}
+
+function filmYear(film) {
+  const year = parseInt(film.year || film.releaseYear, 10);
+  return Number.isFinite(year) ? year : null;
+}
+
+// Every year from the earliest to the latest, including empty ones, so the
+// histogram's gaps show
+function yearHistogram(years) {
+  if (years.length === 0) return [];
+  const counts = countBy(years);
+  const first = Math.min(...years);
+  const last = Math.max(...years);
+  return Array.from({ length: last - first + 1 }, (_, i) => [
+    String(first + i),
+    counts.get(first + i) || 0,
+  ]);
+}
+
+function decadeHistogram(years) {
+  if (years.length === 0) return [];
+  const decades = years.map((year) => Math.floor(year / 10) * 10);
+  const counts = countBy(decades);
+  const first = Math.min(...decades);
+  const last = Math.max(...decades);
+  return Array.from({ length: (last - first) / 10 + 1 }, (_, i) => [
+    `${first + i * 10}s`,
+    counts.get(first + i * 10) || 0,
+  ]);
+}
+
+// Ratings into fixed-width bins from 0 to max, labelled by their lower
+// bound. A top score lands in the last bin.
+function ratingHistogram(ratings, max, width) {
+  const bins = Array.from({ length: max / width }, (_, i) => [
+    String(i * width),
+    0,
+  ]);
+  ratings.forEach((rating) => {
+    const index = Math.min(Math.floor(rating / width), bins.length - 1);
+    bins[index][1]++;
+  });
+  return bins;
+}
+
+// `films` are pool entries with whatever enrichment has added. Histograms
+// and rankings are [label, count] pairs.
+export function poolStats(films) {
+  const enriched = films.filter((film) => film.tmdbId !== undefined);
+  const matched = enriched.filter((film) => film.tmdbId);
+  const years = films.map(filmYear).filter((year) => year !== null);
+  const runtimes = matched
+    .map((film) => film.runtime)
+    .filter((runtime) => runtime > 0);
+  const totalRuntime = runtimes.reduce((sum, runtime) => sum + runtime, 0);
+
+  return {
+    count: films.length,
+    enriched: enriched.length,
+    matched: matched.length,
+    years: yearHistogram(years),
+    decades: decadeHistogram(years),
+    genres: ranked(countBy(matched.flatMap((film) => film.genres || []))),
+    directors: ranked(countBy(matched.map((film) => film.director))).slice(
+      0,
+      TOP_DIRECTORS
+    ),
+    runtime: {
+      known: runtimes.length,
+      total: totalRuntime,
+      average: runtimes.length
+        ? Math.round(totalRuntime / runtimes.length)
+        : null,
+    },
+    letterboxdRatings: ratingHistogram(
+      matched.map((film) => film.letterboxdRating).filter(Boolean),
+      5,
+      0.5
+    ),
+    tmdbRatings: ratingHistogram(
+      matched.map((film) => film.tmdbRating).filter(Boolean),
+      10,
+      1
+    ),
+  };
+}
+
+// Share of the whole list a user has already logged, from the watched
+// summary fetch-list returns when excluding them: 0 to 100, or null
+export function watchedShare(watched, remaining) {
+  if (!watched) return null;
+  const total = remaining + watched.excluded;
+  return total ? Math.round((watched.excluded / total) * 100) : null;
+}
+
+// 7380 -> "123h 0m"
+export function formatMinutes(minutes) {
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
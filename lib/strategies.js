@@ -0,0 +1,172 @@
+// Random pick strategies. Everything here is pure: picks are driven by a
+// seed, and lower-level helpers take an `rng` function returning a float in
+// [0, 1), like Math.random.
+
+export const STRATEGIES = {
+  uniform: { label: 'Uniform random', needsEnrichment: false },
+  rating: { label: 'Weighted by Letterboxd rating', needsEnrichment: true },
+  shorter: { label: 'Favour shorter films', needsEnrichment: true },
+  // List pages usually carry the year, so this rarely needs TMDB
+  older: { label: 'Favour older films', needsEnrichment: false },
+  ranked: { label: 'Favour the top of the list', needsEnrichment: false },
+  shuffle: { label: 'No repeats until the list is done', needsEnrichment: false },
+};
+
+// Mulberry32: small, fast, and good enough for picking films
+export function createRng(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+export function weightedIndex(weights, rng = Math.random) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) {
+    return Math.floor(rng() * weights.length);
+  }
+
+  let target = rng() * total;
+  for (let i = 0; i < weights.length; i++) {
+    target -= weights[i];
+    if (target < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Films without the data a strategy needs get the list's median value, so
+// they stay in the draw at an ordinary weight
+function fillMissing(values) {
+  const fallback = median(values.filter((v) => v != null));
+  return values.map((v) => (v != null ? v : fallback));
+}
+
+const currentYear = () => new Date().getFullYear();
+
+function releaseYearOf(film) {
+  return film.releaseYear || parseInt(film.year, 10) || null;
+}
+
+export function strategyWeights(films, strategy) {
+  switch (strategy) {
+    case 'rating': {
+      // Squared so a 4.2 clearly beats a 3.0 without shutting it out
+      const ratings = fillMissing(films.map((f) => f.letterboxdRating ?? null));
+      return ratings.map((r) => (r != null ? r * r : 1));
+    }
+    case 'shorter': {
+      const runtimes = fillMissing(films.map((f) => f.runtime || null));
+      return runtimes.map((r) => (r ? 1 / r : 1));
+    }
+    case 'older': {
+      const years = fillMissing(films.map(releaseYearOf));
+      return years.map((y) => (y ? Math.max(1, currentYear() - y + 1) : 1));
+    }
+    case 'ranked': {
+      // Linear falloff by rank (or list order for unnumbered lists): the
+      // top film is n times likelier than the last
+      const ranks = films.map((film, i) => film.position || i + 1);
+      const last = Math.max(...ranks);
+      return ranks.map((rank) => last - rank + 1);
+    }
+    default:
+      return films.map(() => 1);
+  }
+}
+
+export function randomSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+// Fisher-Yates shuffle of the indices 0..length-1
+function shuffledIndices(length, rng) {
+  const order = Array.from({ length }, (_, i) => i);
+  for (let i = length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+// The index each roll of a seed lands on, with the shuffle order or the
+// weights worked out once for however many rolls are taken
+function rollIndexer(films, strategy, seed) {
+  if (strategy === 'shuffle') {
+    const order = shuffledIndices(films.length, createRng(seed));
+    return (roll) => order[roll % films.length];
+  }
+  const weights = strategyWeights(films, strategy);
+  return (roll) => weightedIndex(weights, createRng(`${seed}:${roll}`));
+}
+
+// Pick one film. A roll is fully determined by (films, strategy, seed, roll),
+// so the same seed and roll number always give the same film. The shuffle
+// strategy walks a seeded permutation of the list, so rolls 0..n-1 never
+// repeat; the others draw each roll from their own seeded RNG.
+export function pickFilm(films, strategy = 'uniform', { seed, roll = 0 } = {}) {
+  if (films.length === 0) {
+    return { film: null, index: -1 };
+  }
+
+  const index = rollIndexer(films, strategy, seed)(roll);
+  return { film: films[index], index };
+}
+
+// Pick from `films`, moving on roll by roll until one lands on a film
+// `isAllowed` accepts. Rolling against the whole pool and skipping, rather
+// than rolling against what's left, means a seed and roll give the same
+// film to someone who hasn't excluded the same films. Returns the roll it
+// landed on too; film is null if nothing's allowed.
+export function pickAllowedFilm(
+  films,
+  strategy,
+  { seed, roll = 0 },
+  isAllowed
+) {
+  const none = { film: null, index: -1, roll };
+  if (!films.some(isAllowed)) return none;
+
+  const indexFor = rollIndexer(films, strategy, seed);
+  // Weighted strategies can keep landing on excluded films; give up after
+  // a generous number of rolls
+  for (let next = roll; next < roll + films.length * 20; next++) {
+    const index = indexFor(next);
+    if (isAllowed(films[index])) {
+      return { film: films[index], index, roll: next };
+    }
+  }
+  return none;
+}
+
+// Draw up to `count` different films, taking successive rolls of one seed
+// and skipping repeats. Weighted strategies can keep landing on the same
+// few films, so give up after a generous number of rolls.
+export function pickFilms(films, strategy = 'uniform', { seed, count }) {
+  const wanted = Math.min(count, films.length);
+  const picked = new Map();
+
+  for (let roll = 0; picked.size < wanted && roll < count * 20; roll++) {
+    const { film } = pickFilm(films, strategy, { seed, roll });
+    picked.set(film.slug, film);
+  }
+
+  return [...picked.values()];
+}
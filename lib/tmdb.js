@@ -0,0 +1,404 @@
+import { cached } from './cache';
+import { UpstreamError, tmdbUrl, upstreamFetch } from './upstream';
+import { normalizeTitle } from './similar';
+
+// A slow TMDB aborts with a TimeoutError, which the API reports as
+// UPSTREAM_TIMEOUT
+function tmdbFetch(url) {
+  return upstreamFetch(url, {
+    headers: { Authorization: `Bearer ${process.env.TMDB_API_KEY}` },
+  });
+}
+
+// Search TMDB by title and pick the best-scoring candidate. `hints` can carry
+// the release year and original title to tell remakes and namesakes apart.
+// Resolves to { tmdbId, confidence, score } or null.
+export async function searchTmdbByTitle(title, hints = {}) {
+  // Extract year if present in title like "Movie Name (1994)"
+  const yearMatch = title.match(/\((\d{4})\)\s*$/);
+  const cleanTitle = title.replace(/\s*\(\d{4}\)\s*$/, '').trim();
+  const year = hints.year || (yearMatch ? yearMatch[1] : null);
+  const originalTitle = hints.originalTitle || null;
+
+  const key = `search:${year || ''}:${originalTitle || ''}:${cleanTitle}`;
+  return cached('tmdb', key, () =>
+    loadTmdbSearch(cleanTitle, { year, originalTitle })
+  );
+}
+
+async function loadTmdbSearch(cleanTitle, hints) {
+  try {
+    // No year filter: TMDB's is strict, and festival and release years often
+    // differ by one. The year is used for scoring instead.
+    const url = tmdbUrl(`/search/movie?query=${encodeURIComponent(cleanTitle)}`);
+
+    const response = await tmdbFetch(url);
+
+    if (!response.ok) {
+      return null;
+    }
+
+    const data = await response.json();
+
+    if (!data.results || data.results.length === 0) {
+      return null;
+    }
+
+    const [best] = data.results
+      .map((candidate, rank) => ({
+        candidate,
+        ...scoreCandidate(candidate, rank, cleanTitle, hints),
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      tmdbId: best.candidate.id.toString(),
+      confidence: best.confidence,
+      score: best.score,
+    };
+  } catch (error) {
+    console.error('TMDB search failed:', error);
+    return null;
+  }
+}
+
+function scoreCandidate(candidate, rank, title, { year, originalTitle }) {
+  // A title of only punctuation normalizes to nothing, which would match
+  // every other such title
+  const wanted = [title, originalTitle].map(normalizeTitle).filter(Boolean);
+  const names = [candidate.title, candidate.original_title]
+    .map(normalizeTitle)
+    .filter(Boolean);
+
+  let titleScore = 0;
+  if (names.some((name) => wanted.includes(name))) {
+    titleScore = 3;
+  } else if (
+    names.some((name) =>
+      wanted.some((w) => name.includes(w) || w.includes(name))
+    )
+  ) {
+    titleScore = 1;
+  }
+
+  let yearScore = 0;
+  const candidateYear = parseInt(candidate.release_date?.split('-')[0], 10);
+  if (year && candidateYear) {
+    const diff = Math.abs(candidateYear - parseInt(year, 10));
+    if (diff === 0) yearScore = 3;
+    else if (diff === 1) yearScore = 1.5;
+    else yearScore = -2;
+  }
+
+  // TMDB's own relevance order breaks ties
+  const score = titleScore + yearScore + 0.5 / (rank + 1);
+
+  let confidence = 'low';
+  if (titleScore === 3 && yearScore === 3) {
+    confidence = 'high';
+  } else if (titleScore === 3 && yearScore >= 0) {
+    confidence = 'medium';
+  } else if (titleScore === 1 && yearScore === 3) {
+    confidence = 'medium';
+  }
+
+  return { score, confidence };
+}
+
+const CAST_LIMIT = 6;
+
+// TMDB movie record with credits and watch providers appended, cut down to
+// the fields the app reads (see trimTmdbMovie)
+export async function fetchTmdbMovie(tmdbId) {
+  // The key names what's kept, so untrimmed entries cached before aren't
+  // served in place of these
+  return cached('tmdb', `movie:${tmdbId}:trimmed`, () =>
+    loadTmdbMovie(tmdbId)
+  );
+}
+
+async function loadTmdbMovie(tmdbId) {
+  const url = tmdbUrl(
+    `/movie/${tmdbId}?append_to_response=credits,watch/providers`
+  );
+
+  const response = await tmdbFetch(url);
+
+  if (!response.ok) {
+    throw new UpstreamError(response.status, url);
+  }
+
+  return trimTmdbMovie(await response.json());
+}
+
+function trimProviders(providers) {
+  return providers?.map(
+    ({ provider_id, provider_name, logo_path, display_priority }) => ({
+      provider_id,
+      provider_name,
+      logo_path,
+      display_priority,
+    })
+  );
+}
+
+// Enrichment caches a record for every film on a list, and the raw one
+// carries the whole crew and watch providers for every region, so keep the
+// same shape with only what the finders below and enrichment use
+function trimTmdbMovie(data) {
+  const regions = data['watch/providers']?.results || {};
+  return {
+    id: data.id,
+    title: data.title,
+    original_title: data.original_title,
+    original_language: data.original_language,
+    spoken_languages: (data.spoken_languages || []).map(
+      ({ iso_639_1, english_name }) => ({ iso_639_1, english_name })
+    ),
+    release_date: data.release_date,
+    runtime: data.runtime,
+    overview: data.overview,
+    tagline: data.tagline,
+    vote_average: data.vote_average,
+    poster_path: data.poster_path,
+    backdrop_path: data.backdrop_path,
+    genres: data.genres || [],
+    credits: {
+      cast: (data.credits?.cast || [])
+        .slice()
+        .sort((a, b) => a.order - b.order)
+        .slice(0, CAST_LIMIT)
+        .map(({ name, character, profile_path, order }) => ({
+          name,
+          character,
+          profile_path,
+          order,
+        })),
+      crew: (data.credits?.crew || [])
+        .filter((person) => person.job === 'Director')
+        .map(({ name, job }) => ({ name, job })),
+    },
+    'watch/providers': {
+      results: Object.fromEntries(
+        Object.entries(regions).map(([region, entry]) => [
+          region,
+          {
+            link: entry.link,
+            flatrate: trimProviders(entry.flatrate),
+            free: trimProviders(entry.free),
+            ads: trimProviders(entry.ads),
+            rent: trimProviders(entry.rent),
+            buy: trimProviders(entry.buy),
+          },
+        ])
+      ),
+    },
+  };
+}
+
+export function findDirector(data) {
+  return (
+    data.credits?.crew?.find((person) => person.job === 'Director')?.name || null
+  );
+}
+
+const LOGO_BASE = 'https://image.tmdb.org/t/p/w92';
+
+function formatProvider(provider) {
+  return {
+    id: provider.provider_id,
+    name: provider.provider_name,
+    logo: provider.logo_path ? `${LOGO_BASE}${provider.logo_path}` : null,
+  };
+}
+
+function byPriority(a, b) {
+  return (a.display_priority ?? 999) - (b.display_priority ?? 999);
+}
+
+// Where a movie can be watched in one region, from TMDB's JustWatch data.
+// null if TMDB has nothing for that region.
+export function findWatchProviders(data, region) {
+  const entry = data['watch/providers']?.results?.[region];
+  if (!entry) return null;
+
+  const list = (providers) =>
+    (providers || []).slice().sort(byPriority).map(formatProvider);
+
+  return {
+    region,
+    link: entry.link || null,
+    flatrate: list(entry.flatrate),
+    rent: list(entry.rent),
+    buy: list(entry.buy),
+  };
+}
+
+// IDs of the providers that include a movie with a subscription (or for
+// free) in a region; these are what "on my services" checks against
+export function findStreamingProviderIds(data, region) {
+  const entry = data['watch/providers']?.results?.[region];
+  if (!entry) return [];
+
+  const ids = [entry.flatrate, entry.free, entry.ads]
+    .flatMap((providers) => providers || [])
+    .map((provider) => provider.provider_id);
+  return [...new Set(ids)];
+}
+
+// The movie streaming services TMDB knows in a region, most popular first
+export async function fetchWatchProviderList(region) {
+  return cached('tmdb', `providers:${region}`, () =>
+    loadWatchProviderList(region)
+  );
+}
+
+async function loadWatchProviderList(region) {
+  const url = tmdbUrl(`/watch/providers/movie?watch_region=${region}`);
+
+  const response = await tmdbFetch(url);
+
+  if (!response.ok) {
+    throw new UpstreamError(response.status, url);
+  }
+
+  const data = await response.json();
+  return (data.results || [])
+    .map((provider) => ({
+      ...provider,
+      display_priority:
+        provider.display_priorities?.[region] ?? provider.display_priority,
+    }))
+    .sort(byPriority)
+    .map(formatProvider);
+}
+
+// Card-only data: the trailer, certifications and related movies. Fetched
+// apart from fetchTmdbMovie, which enrichment calls for every film on a
+// list, and trimmed before caching since the raw lists are large.
+export async function fetchTmdbExtras(tmdbId) {
+  return cached('tmdb', `extras:${tmdbId}`, () => loadTmdbExtras(tmdbId));
+}
+
+async function loadTmdbExtras(tmdbId) {
+  const url = tmdbUrl(
+    `/movie/${tmdbId}?append_to_response=videos,release_dates,recommendations,similar`
+  );
+
+  const response = await tmdbFetch(url);
+
+  if (!response.ok) {
+    throw new UpstreamError(response.status, url);
+  }
+
+  const data = await response.json();
+
+  // Recommendations first: they're based on what people watch together,
+  // where "similar" only compares genres and keywords
+  const related = [];
+  const seen = new Set();
+  [data.recommendations, data.similar].forEach((page) => {
+    (page?.results || []).forEach((movie) => {
+      if (seen.has(movie.id)) return;
+      seen.add(movie.id);
+      related.push({
+        tmdbId: movie.id.toString(),
+        title: movie.title,
+        originalTitle: movie.original_title,
+        year: movie.release_date ? movie.release_date.split('-')[0] : '',
+      });
+    });
+  });
+
+  return {
+    trailerKey: findTrailerKey(data.videos?.results || []),
+    certifications: findCertifications(data.release_dates?.results || []),
+    related,
+  };
+}
+
+// Official YouTube trailers first, then any trailer, then a teaser
+function findTrailerKey(videos) {
+  const youtube = videos.filter((video) => video.site === 'YouTube');
+  const video =
+    youtube.find((v) => v.type === 'Trailer' && v.official) ||
+    youtube.find((v) => v.type === 'Trailer') ||
+    youtube.find((v) => v.type === 'Teaser');
+  return video ? video.key : null;
+}
+
+// Region code -> rating, preferring the theatrical release's
+function findCertifications(results) {
+  const certifications = {};
+  results.forEach(({ iso_3166_1: region, release_dates: releases }) => {
+    const rated = (releases || []).filter((release) => release.certification);
+    const release = rated.find((r) => r.type === 3) || rated[0];
+    if (release) certifications[region] = release.certification;
+  });
+  return certifications;
+}
+
+function findCast(data) {
+  return (data.credits?.cast || [])
+    .slice()
+    .sort((a, b) => a.order - b.order)
+    .slice(0, CAST_LIMIT)
+    .map((person) => ({
+      name: person.name,
+      character: person.character || null,
+      profile: person.profile_path
+        ? `https://image.tmdb.org/t/p/w185${person.profile_path}`
+        : null,
+    }));
+}
+
+// The original language's English name, e.g. "Korean" rather than "ko"
+function findLanguage(data) {
+  if (!data.original_language) return null;
+  const spoken = (data.spoken_languages || []).find(
+    (language) => language.iso_639_1 === data.original_language
+  );
+  return spoken?.english_name || data.original_language;
+}
+
+export async function fetchTmdbDetails(tmdbId, { region } = {}) {
+  const [data, extras] = await Promise.all([
+    fetchTmdbMovie(tmdbId),
+    // The card still works without the extras
+    fetchTmdbExtras(tmdbId).catch((error) => {
+      console.error('TMDB extras failed:', error);
+      return null;
+    }),
+  ]);
+
+  // Find director from credits
+  const director = findDirector(data) || 'Unknown';
+
+  return {
+    title: data.title,
+    year: data.release_date ? data.release_date.split('-')[0] : 'Unknown',
+    runtime: data.runtime ? `${data.runtime} min` : 'Unknown',
+    director,
+    description: data.overview || null,
+    tmdbRating: data.vote_average ? parseFloat(data.vote_average.toFixed(1)) : null,
+    poster: data.poster_path
+      ? `https://image.tmdb.org/t/p/w500${data.poster_path}`
+      : null,
+    backdrop: data.backdrop_path
+      ? `https://image.tmdb.org/t/p/w1280${data.backdrop_path}`
+      : null,
+    tagline: data.tagline || null,
+    originalTitle:
+      data.original_title && data.original_title !== data.title
+        ? data.original_title
+        : null,
+    language: findLanguage(data),
+    genres: (data.genres || []).map((genre) => genre.name),
+    cast: findCast(data),
+    certification: extras?.certifications[region || 'US'] || null,
+    trailerKey: extras?.trailerKey || null,
+    related: extras?.related || [],
+    watchProviders: region ? findWatchProviders(data, region) : null,
+    tmdbId,
+  };
+}
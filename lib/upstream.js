@@ -0,0 +1,270 @@
+// Where the server fetches Letterboxd pages and TMDB data from, and the one
+// HTTP client every such fetch goes through. Set LETTERBOXD_BASE_URL or
+// TMDB_BASE_URL (or call setUpstream) to point them elsewhere, such as a
+// proxy or the fixture server the tests run against. Public links shown to
+// users always point at letterboxd.com.
+//
+// Each service has its own headers, timeout, retry count and a cap on
+// requests in flight to each host (LETTERBOXD_CONCURRENCY and
+// TMDB_CONCURRENCY). Requests that time out or get a 408, 429 or 5xx are
+// retried with exponential backoff and jitter, or after the server's
+// Retry-After; any other status is the answer and is returned straight
+// away, so a 404 (a private or missing list) costs one request.
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+const USER_AGENT =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const SERVICES = ['letterboxd', 'tmdb'];
+
+const upstream = {
+  letterboxdBase: trimSlash(
+    process.env.LETTERBOXD_BASE_URL || 'https://letterboxd.com'
+  ),
+  tmdbBase: trimSlash(
+    process.env.TMDB_BASE_URL || 'https://api.themoviedb.org/3'
+  ),
+  // Looked up on each call, so a replaced global fetch is picked up too
+  fetch: (url, options) => fetch(url, options),
+  // First retry waits about this long, doubling after each attempt
+  retryDelay: 500,
+  // A longer Retry-After than this isn't worth waiting for
+  maxRetryAfter: 30 * 1000,
+  letterboxd: {
+    concurrency: parseInt(process.env.LETTERBOXD_CONCURRENCY, 10) || 6,
+    timeout: 15 * 1000,
+    retries: 2,
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Cache-Control': 'no-cache',
+    },
+  },
+  tmdb: {
+    concurrency: parseInt(process.env.TMDB_CONCURRENCY, 10) || 10,
+    timeout: 10 * 1000,
+    retries: 2,
+    headers: { Accept: 'application/json' },
+  },
+};
+
+// Override any of the settings above; the service settings (letterboxd,
+// tmdb) are merged rather than replaced. Returns the previous settings so
+// they can be restored.
+export function setUpstream(overrides) {
+  const previous = { ...upstream };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (key === 'letterboxdBase' || key === 'tmdbBase') {
+      upstream[key] = trimSlash(value);
+    } else if (SERVICES.includes(key)) {
+      upstream[key] = { ...upstream[key], ...value };
+    } else {
+      upstream[key] = value;
+    }
+  });
+  return previous;
+}
+
+// `path` starts with a slash, e.g. '/film/heat-1995/'
+export function letterboxdUrl(path) {
+  return `${upstream.letterboxdBase}${path}`;
+}
+
+export function tmdbUrl(path) {
+  return `${upstream.tmdbBase}${path}`;
+}
+
+// A response that wasn't OK, for callers that treat that as a failure
+export class UpstreamError extends Error {
+  constructor(status, url) {
+    super(`${url} responded with ${status}`);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+// Metrics
+
+let metrics;
+
+function emptyMetrics() {
+  return {
+    requests: 0,
+    attempts: 0,
+    retries: 0,
+    failures: 0,
+    timeouts: 0,
+    rateLimited: 0,
+    statuses: {},
+    totalMs: 0,
+    slowestMs: 0,
+  };
+}
+
+export function resetUpstreamMetrics() {
+  metrics = {
+    since: new Date().toISOString(),
+    services: Object.fromEntries(
+      SERVICES.map((name) => [name, emptyMetrics()])
+    ),
+  };
+}
+
+resetUpstreamMetrics();
+
+// Per-host request slots: { active, waiting } keyed by service and host
+const hosts = new Map();
+
+// Counters for each service since the last reset, with the requests now
+// in flight or waiting for a slot. `failures` counts requests that ended
+// in an error or a non-OK status after any retries.
+export function upstreamMetrics() {
+  const services = {};
+  SERVICES.forEach((name) => {
+    const counts = metrics.services[name];
+    let inFlight = 0;
+    let queued = 0;
+    hosts.forEach((host, key) => {
+      if (!key.startsWith(`${name} `)) return;
+      inFlight += host.active;
+      queued += host.waiting.length;
+    });
+    services[name] = {
+      ...counts,
+      averageMs: counts.requests
+        ? Math.round(counts.totalMs / counts.requests)
+        : 0,
+      inFlight,
+      queued,
+    };
+  });
+  return { since: metrics.since, services };
+}
+
+// Concurrency
+
+async function acquireSlot(key, limit) {
+  if (!hosts.has(key)) hosts.set(key, { active: 0, waiting: [] });
+  const host = hosts.get(key);
+  if (host.active < limit) {
+    host.active++;
+    return;
+  }
+  // releaseSlot hands its slot straight over
+  await new Promise((resolve) => host.waiting.push(resolve));
+}
+
+function releaseSlot(key) {
+  const host = hosts.get(key);
+  const next = host.waiting.shift();
+  if (next) {
+    next();
+  } else {
+    host.active--;
+  }
+}
+
+// Retries
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Exponential, with jitter so clients that failed together don't all
+// retry together
+function backoff(attempt) {
+  const delay = upstream.retryDelay * 2 ** attempt;
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// Retry-After as milliseconds: either seconds or an HTTP date
+function retryAfter(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function serviceFor(url) {
+  return url.startsWith(upstream.tmdbBase) ? 'tmdb' : 'letterboxd';
+}
+
+// Fetch from Letterboxd or TMDB. Besides the usual fetch options:
+//   timeout  per attempt, in ms; a slow attempt aborts with a TimeoutError
+//   retries  attempts after the first
+// `headers` are added to the service's own. Resolves to the last response,
+// OK or not, and rejects only if the last attempt threw.
+export async function upstreamFetch(url, options = {}) {
+  const { headers, timeout, retries, signal, ...fetchOptions } = options;
+  const service = serviceFor(url);
+  const settings = upstream[service];
+  const counts = metrics.services[service];
+  const hostKey = `${service} ${new URL(url).host}`;
+  const attempts = (retries ?? settings.retries) + 1;
+  const started = Date.now();
+  counts.requests++;
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      const isLast = attempt === attempts - 1;
+      let response;
+
+      await acquireSlot(hostKey, settings.concurrency);
+      counts.attempts++;
+      // The clock starts once there's a slot, not while queued for one
+      const attemptSignal = AbortSignal.timeout(timeout ?? settings.timeout);
+      try {
+        response = await upstream.fetch(url, {
+          ...fetchOptions,
+          headers: { ...settings.headers, ...headers },
+          signal: signal
+            ? AbortSignal.any([signal, attemptSignal])
+            : attemptSignal,
+        });
+      } catch (error) {
+        if (error.name === 'TimeoutError') counts.timeouts++;
+        // Timeouts and network errors are retried, unless the caller
+        // gave up
+        if (isLast || signal?.aborted) throw error;
+      } finally {
+        releaseSlot(hostKey);
+      }
+
+      let delay = backoff(attempt);
+      if (response) {
+        counts.statuses[response.status] =
+          (counts.statuses[response.status] || 0) + 1;
+        if (response.status === 429) counts.rateLimited++;
+
+        if (response.ok || isLast || !isRetryable(response.status)) {
+          if (!response.ok) counts.failures++;
+          return response;
+        }
+
+        delay = retryAfter(response) ?? delay;
+        if (delay > upstream.maxRetryAfter) {
+          counts.failures++;
+          return response;
+        }
+        // Let the connection go while we wait
+        response.body?.cancel().catch(() => {});
+      }
+
+      counts.retries++;
+      await sleep(delay);
+    }
+  } catch (error) {
+    counts.failures++;
+    throw error;
+  } finally {
+    const elapsed = Date.now() - started;
+    counts.totalMs += elapsed;
+    counts.slowestMs = Math.max(counts.slowestMs, elapsed);
+  }
+}
@@ -0,0 +1,135 @@
+import { ApiError } from './api';
+import {
+  isListEntrySlug,
+  letterboxdFilmUrl,
+  resolveSource,
+} from './sources';
+import { OPERATIONS } from './combine';
+import { STRATEGIES } from './strategies';
+import { isWatchRegion } from './regions';
+import { isValidUsername } from './watched';
+
+// Request parameter parsing shared by the API routes. Each parser returns
+// the clean value (null when an optional parameter is absent) or throws an
+// ApiError saying what was wrong.
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+export function requireString(value, name) {
+  if (isMissing(value)) {
+    throw new ApiError('INVALID_PARAMS', `${name} is required`);
+  }
+  if (typeof value !== 'string') {
+    throw new ApiError('INVALID_PARAMS', `${name} must be a single value`);
+  }
+  return value;
+}
+
+export function parseListUrl(value, name = 'url') {
+  const url = requireString(value, name);
+  const source = resolveSource(url);
+  if (!source) {
+    throw new ApiError('INVALID_URL', `Unsupported Letterboxd URL: ${url}`);
+  }
+  return { url, source };
+}
+
+// One or more list URLs from a repeated query parameter
+export function parseListUrls(value, { min = 1, max = 5, name = 'url' } = {}) {
+  const urls = []
+    .concat(value || [])
+    .filter((u) => typeof u === 'string' && u.trim());
+
+  if (urls.length < min) {
+    throw new ApiError(
+      'INVALID_PARAMS',
+      min === 1 ? 'URL is required' : `At least ${min} URLs are required`
+    );
+  }
+  if (urls.length > max) {
+    throw new ApiError('INVALID_PARAMS', `At most ${max} URLs can be combined`);
+  }
+  return urls.map((url) => parseListUrl(url, name));
+}
+
+export function parseUsername(value) {
+  if (isMissing(value)) return null;
+  if (typeof value !== 'string' || !isValidUsername(value)) {
+    throw new ApiError('INVALID_PARAMS', 'Invalid Letterboxd username');
+  }
+  return value;
+}
+
+export function parseRegion(value) {
+  if (isMissing(value)) return null;
+  if (!isWatchRegion(value)) {
+    throw new ApiError('INVALID_PARAMS', `Unknown region: ${value}`);
+  }
+  return value;
+}
+
+export function parseOperation(value) {
+  if (isMissing(value)) return 'union';
+  if (!OPERATIONS[value]) {
+    throw new ApiError('INVALID_PARAMS', `Unknown operation: ${value}`);
+  }
+  return value;
+}
+
+export function parseStrategy(value) {
+  if (isMissing(value)) return 'uniform';
+  if (!STRATEGIES[value]) {
+    throw new ApiError('INVALID_PARAMS', `Unknown strategy: ${value}`);
+  }
+  return value;
+}
+
+export function parseInteger(value, name, { min = -Infinity, max = Infinity } = {}) {
+  if (isMissing(value)) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    const range =
+      max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+    throw new ApiError('INVALID_PARAMS', `${name} must be a whole number ${range}`);
+  }
+  return number;
+}
+
+const isShortText = (value, max) =>
+  (typeof value === 'string' || typeof value === 'number') &&
+  String(value).length <= max;
+
+// The films a pick came from, sent by a caller that already holds the list
+// so "more like this" can be matched against it: [{ slug, title, year }].
+// Optional; the Letterboxd links are rebuilt from the slugs, and posters
+// aren't taken.
+export function parsePool(value, { max }) {
+  if (isMissing(value)) return null;
+  if (!Array.isArray(value) || value.length > max) {
+    throw new ApiError(
+      'INVALID_PARAMS',
+      `Pool must be a list of at most ${max} films`
+    );
+  }
+  return value.map((film) => {
+    if (
+      !isListEntrySlug(film?.slug) ||
+      !isShortText(film.title, 200) ||
+      !(film.year == null || isShortText(film.year, 10))
+    ) {
+      throw new ApiError(
+        'INVALID_PARAMS',
+        'Every pool film needs a slug and title'
+      );
+    }
+    return {
+      slug: film.slug,
+      title: String(film.title),
+      year: film.year == null ? '' : String(film.year),
+      poster: null,
+      letterboxdUrl: letterboxdFilmUrl(film.slug, String(film.title)),
+    };
+  });
+}
@@ -0,0 +1,46 @@
+import { resolveSource } from './sources';
+import { fetchSourceFilms } from './letterboxd';
+import { ApiError } from './api';
+
+const USERNAME_PATTERN = /^[a-z0-9_]+$/i;
+
+export function isValidUsername(username) {
+  return USERNAME_PATTERN.test(username);
+}
+
+export function watchedErrorMessage(username) {
+  return `Could not fetch films watched by ${username}. The profile may be private or not exist.`;
+}
+
+// Slugs of the films a user has logged, scraped from /<user>/films/ with
+// the same pagination, retries and cache as any other source. `truncated`
+// is set when they've logged more than the page limit covers, so some of
+// their films won't be excluded. Throws PRIVATE_LIST if the page can't be
+// read, so a private profile doesn't silently exclude nothing.
+export async function fetchWatchedSlugs(username) {
+  const source = resolveSource(`https://letterboxd.com/${username}/films/`);
+  const { films, meta } = await fetchSourceFilms(source);
+  if (films.length === 0) {
+    throw new ApiError('PRIVATE_LIST', watchedErrorMessage(username));
+  }
+  return {
+    slugs: new Set(films.map((film) => film.slug)),
+    truncated: Boolean(meta?.truncated),
+  };
+}
+
+// Drop the films a user has already seen
+export async function excludeWatchedFilms(films, username) {
+  const { slugs, truncated } = await fetchWatchedSlugs(username);
+
+  const remaining = films.filter((film) => !slugs.has(film.slug));
+  return {
+    films: remaining,
+    watched: {
+      username,
+      total: slugs.size,
+      excluded: films.length - remaining.length,
+      truncated,
+    },
+  };
+}
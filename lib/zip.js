@@ -0,0 +1,88 @@
+// Just enough of a ZIP reader for Letterboxd's data export: reads the
+// central directory and inflates entries with the platform's
+// DecompressionStream (browsers and Node 18+). No ZIP64, encryption or
+// multi-disk archives, which the export never uses.
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+function findEndOfDirectory(view) {
+  // The record is 22 bytes plus a comment of up to 64KB, at the very end
+  const earliest = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= earliest; offset--) {
+    if (view.getUint32(offset, true) === END_OF_DIRECTORY) return offset;
+  }
+  throw new Error('Not a ZIP file');
+}
+
+function listEntries(buffer) {
+  const view = new DataView(buffer);
+  const end = findEndOfDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== DIRECTORY_ENTRY) {
+      throw new Error('Corrupt ZIP directory');
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+
+    entries.push({
+      name: decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      headerOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes])
+    .stream()
+    .pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function readEntry(buffer, entry) {
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.headerOffset, true) !== LOCAL_HEADER) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+  // The local header's own name and extra lengths can differ from the
+  // directory's
+  const start =
+    entry.headerOffset +
+    30 +
+    view.getUint16(entry.headerOffset + 26, true) +
+    view.getUint16(entry.headerOffset + 28, true);
+  const bytes = new Uint8Array(buffer, start, entry.compressedSize);
+
+  if (entry.method === STORED) return bytes;
+  if (entry.method === DEFLATED) return inflate(bytes);
+  throw new Error(`Unsupported compression in ${entry.name}`);
+}
+
+// The text of every file in the archive whose name passes `include`, as
+// [{ name, text }] in archive order
+export async function readZipTextFiles(buffer, include = () => true) {
+  const decoder = new TextDecoder();
+  const files = [];
+  for (const entry of listEntries(buffer)) {
+    if (entry.name.endsWith('/') || !include(entry.name)) continue;
+    files.push({
+      name: entry.name,
+      text: decoder.decode(await readEntry(buffer, entry)),
+    });
+  }
+  return files;
+}
@@ -0,0 +1,49 @@
+import { requireSourceFilms } from '../../lib/letterboxd';
+import { combineFilms, countContributions } from '../../lib/combine';
+import { excludeWatchedFilms } from '../../lib/watched';
+import { withApi } from '../../lib/api';
+import {
+  parseListUrls,
+  parseOperation,
+  parseUsername,
+} from '../../lib/validate';
+
+const MAX_SOURCES = 5;
+
+async function handler(req, res) {
+  const lists = parseListUrls(req.query.url, { min: 2, max: MAX_SOURCES });
+  const operation = parseOperation(req.query.op);
+  const exclude = parseUsername(req.query.exclude);
+
+  const results = await Promise.all(
+    lists.map(({ source }) => requireSourceFilms(source))
+  );
+  const filmLists = results.map((result) => result.films);
+
+  const combined = combineFilms(filmLists, operation);
+  const contributions = countContributions(filmLists, combined);
+
+  // Leave out anything the given user has already logged
+  let films = combined;
+  let watched = null;
+  if (exclude) {
+    ({ films, watched } = await excludeWatchedFilms(combined, exclude));
+  }
+
+  return res.status(200).json({
+    films,
+    operation,
+    watched,
+    sources: lists.map(({ url, source }, i) => ({
+      url,
+      type: source.type,
+      label: source.label,
+      path: source.path,
+      count: filmLists[i].length,
+      contributed: contributions[i],
+      meta: results[i].meta,
+    })),
+  });
+}
+
+export default withApi(handler, { name: 'combine-lists' });
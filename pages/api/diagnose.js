@@ -0,0 +1,23 @@
+import { diagnoseLetterboxdPage } from '../../lib/letterboxd';
+import { resolveFilmSlug } from '../../lib/sources';
+import { withApi } from '../../lib/api';
+import { parseListUrl, requireString } from '../../lib/validate';
+
+// Which parsing strategies work against a Letterboxd page right now.
+//   GET ?url=<list, watchlist or other source URL>   checks its first page
+//   GET ?url=<film URL, e.g. letterboxd.com/film/heat-1995/>
+// Each field lists its strategies in the order the scraper tries them,
+// with whether each found anything and a sample of what it found.
+async function handler(req, res) {
+  const url = requireString(req.query.url, 'url');
+  const filmSlug = resolveFilmSlug(url);
+  const target = filmSlug ? { filmSlug } : { source: parseListUrl(url).source };
+
+  const report = await diagnoseLetterboxdPage(target);
+  return res.status(200).json({
+    page: filmSlug ? 'film' : target.source.type,
+    ...report,
+  });
+}
+
+export default withApi(handler, { name: 'diagnose' });
@@ -0,0 +1,42 @@
+import { enrichFilms } from '../../lib/enrich';
+import { ApiError, requireTmdb, withApi } from '../../lib/api';
+import { parseRegion } from '../../lib/validate';
+
+const MAX_FILMS_PER_REQUEST = 20;
+
+async function handler(req, res) {
+  const films = Array.isArray(req.body?.films) ? req.body.films : null;
+
+  if (!films || films.length === 0) {
+    throw new ApiError('INVALID_PARAMS', 'Films are required');
+  }
+
+  if (films.length > MAX_FILMS_PER_REQUEST) {
+    throw new ApiError(
+      'INVALID_PARAMS',
+      `At most ${MAX_FILMS_PER_REQUEST} films can be enriched per request`
+    );
+  }
+
+  const region = parseRegion(req.body.region);
+  requireTmdb();
+
+  const enriched = await enrichFilms(
+    films
+      .filter((film) => film && film.slug && film.title)
+      .map((film) => ({
+        title: String(film.title),
+        slug: String(film.slug),
+        year: film.year ? String(film.year) : '',
+      })),
+    { region }
+  );
+  return res.status(200).json({ films: enriched });
+}
+
+// The client enriches a long list in many small batches
+export default withApi(handler, {
+  name: 'enrich',
+  methods: ['POST'],
+  rateLimit: 5,
+});
@@ -0,0 +1,10 @@
+import { upstreamMetrics } from '../../lib/upstream';
+import { withApi } from '../../lib/api';
+
+// Counters for the Letterboxd and TMDB requests this server instance has
+// made: attempts, retries, failures, timeouts, statuses and timings
+async function handler(req, res) {
+  return res.status(200).json({ upstream: upstreamMetrics() });
+}
+
+export default withApi(handler, { name: 'metrics' });
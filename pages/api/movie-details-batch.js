@@ -0,0 +1,49 @@
+import { MAX_POOL_FILMS, fetchMovieDetailsBatch } from '../../lib/details';
+import { ApiError, requireTmdb, withApi } from '../../lib/api';
+import { parsePool, parseRegion } from '../../lib/validate';
+
+const MAX_FILMS_PER_REQUEST = 10;
+
+// Card details for several films in one call, for fetching upcoming picks
+// ahead of time. POST { films: [{ title, slug, year }], region, pool }, the
+// pool being optional (see /api/movie-details). Answers { results }, one per
+// film in order: { slug, details } or { slug, error, code }.
+async function handler(req, res) {
+  const films = Array.isArray(req.body?.films) ? req.body.films : null;
+
+  if (!films || films.length === 0) {
+    throw new ApiError('INVALID_PARAMS', 'Films are required');
+  }
+
+  if (films.length > MAX_FILMS_PER_REQUEST) {
+    throw new ApiError(
+      'INVALID_PARAMS',
+      `At most ${MAX_FILMS_PER_REQUEST} films can be fetched per request`
+    );
+  }
+
+  if (films.some((film) => !film?.title || typeof film.title !== 'string')) {
+    throw new ApiError('INVALID_PARAMS', 'Every film needs a title');
+  }
+
+  const region = parseRegion(req.body.region);
+  const pool = parsePool(req.body.pool, { max: MAX_POOL_FILMS });
+  requireTmdb();
+
+  const results = await fetchMovieDetailsBatch(
+    films.map((film) => ({
+      title: film.title,
+      slug: film.slug ? String(film.slug) : '',
+      year: film.year ? String(film.year) : '',
+    })),
+    { region, pool }
+  );
+  return res.status(200).json({ results });
+}
+
+// One batch stands in for several single lookups
+export default withApi(handler, {
+  name: 'movie-details-batch',
+  methods: ['POST'],
+  rateLimit: 2,
+});
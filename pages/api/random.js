@@ -0,0 +1,123 @@
+import { requireSourceFilms, resolvePageLimit } from '../../lib/letterboxd';
+import { combineFilms } from '../../lib/combine';
+import { excludeWatchedFilms } from '../../lib/watched';
+import { enrichFilms } from '../../lib/enrich';
+import { fetchMovieDetails } from '../../lib/details';
+import { withMoreLikeThis } from '../../lib/similar';
+import { EMPTY_FILTERS, applyFilters } from '../../lib/filters';
+import { STRATEGIES, pickFilm, randomSeed } from '../../lib/strategies';
+import { ApiError, requireTmdb, withApi } from '../../lib/api';
+import {
+  parseInteger,
+  parseListUrls,
+  parseOperation,
+  parseRegion,
+  parseStrategy,
+  parseUsername,
+} from '../../lib/validate';
+
+const MAX_SOURCES = 5;
+
+// Strategies weighted by TMDB data enrich the whole list server-side, which
+// is only reasonable for smaller lists
+const MAX_ENRICHED_FILMS = 300;
+
+// One fully detailed random pick in a single call. See "API" in the README.
+//   url        Letterboxd URL; repeat it to combine lists with `op`
+//   op         union | intersection | difference (default union)
+//   exclude    Letterboxd username whose watched films are left out
+//   strategy   pick strategy (default uniform)
+//   seed, roll the same seed and roll always give the same pick
+//   yearFrom, yearTo  release year range
+//   region     watch-provider region for the details
+//   maxPages   pages to read from each list
+async function handler(req, res) {
+  const lists = parseListUrls(req.query.url, { max: MAX_SOURCES });
+  const operation = parseOperation(req.query.op);
+  const exclude = parseUsername(req.query.exclude);
+  const strategy = parseStrategy(req.query.strategy);
+  const region = parseRegion(req.query.region);
+  const roll = parseInteger(req.query.roll, 'roll', { min: 0 }) ?? 0;
+  const yearFrom = parseInteger(req.query.yearFrom, 'yearFrom', { min: 0 });
+  const yearTo = parseInteger(req.query.yearTo, 'yearTo', { min: 0 });
+  const maxPages = parseInteger(req.query.maxPages, 'maxPages', { min: 1 });
+  const seed =
+    typeof req.query.seed === 'string' && req.query.seed
+      ? req.query.seed.slice(0, 64)
+      : randomSeed();
+  requireTmdb();
+
+  const results = await Promise.all(
+    lists.map(({ source }) =>
+      requireSourceFilms(source, {
+        pageLimit: resolvePageLimit(source, maxPages),
+      })
+    )
+  );
+  const filmLists = results.map((result) => result.films);
+  const listFilms =
+    filmLists.length > 1 ? combineFilms(filmLists, operation) : filmLists[0];
+
+  let films = listFilms;
+  let watched = null;
+  if (exclude) {
+    ({ films, watched } = await excludeWatchedFilms(listFilms, exclude));
+  }
+
+  films = applyFilters(films, {
+    ...EMPTY_FILTERS,
+    yearFrom: yearFrom ?? '',
+    yearTo: yearTo ?? '',
+  });
+
+  if (STRATEGIES[strategy].needsEnrichment && films.length > 0) {
+    if (films.length > MAX_ENRICHED_FILMS) {
+      throw new ApiError(
+        'INVALID_PARAMS',
+        `The ${strategy} strategy needs a list of at most ` +
+          `${MAX_ENRICHED_FILMS} films`
+      );
+    }
+    const enriched = await enrichFilms(films);
+    films = films.map((film, i) => ({ ...film, ...enriched[i] }));
+  }
+
+  if (films.length === 0) {
+    throw new ApiError('NOT_FOUND', 'No films left to pick from');
+  }
+
+  const { film } = pickFilm(films, strategy, { seed, roll });
+  const details = await fetchMovieDetails({
+    title: film.title,
+    slug: film.slug,
+    year: film.year,
+    region,
+  });
+
+  return res.status(200).json({
+    film: withMoreLikeThis(
+      {
+        ...details,
+        poster: details.poster || film.poster || null,
+        slug: film.slug,
+        letterboxdUrl: film.letterboxdUrl,
+        position: film.position || null,
+        notes: film.notes || null,
+      },
+      listFilms
+    ),
+    pick: { seed, roll, strategy, poolSize: films.length },
+    operation: lists.length > 1 ? operation : null,
+    watched,
+    sources: lists.map(({ url, source }, i) => ({
+      url,
+      type: source.type,
+      label: source.label,
+      path: source.path,
+      count: filmLists[i].length,
+      meta: results[i].meta,
+    })),
+  });
+}
+
+export default withApi(handler, { name: 'random' });
@@ -0,0 +1,69 @@
+import {
+  castVeto,
+  castVote,
+  closeVoting,
+  createRoom,
+  getRoom,
+  joinRoom,
+  normalizeRoomCode,
+  startRound,
+} from '../../lib/rooms';
+import { ApiError, withApi } from '../../lib/api';
+
+// Candidates carry card details, but a round is a few films at most
+export const config = {
+  api: { bodyParser: { sizeLimit: '100kb' } },
+};
+
+// Movie-night rooms.
+//   GET  ?code&participant          room state as that participant sees it
+//   POST { action: 'create', name, candidates }
+//   POST { action: 'join', code, name }
+//   POST { action: 'vote' | 'veto', code, participant, slug }
+//   POST { action: 'close', code, participant }             host only
+//   POST { action: 'round', code, participant, candidates } host only
+// create and join also return the participant ID the device should keep.
+async function handler(req, res) {
+  if (req.method === 'GET') {
+    const code = normalizeRoomCode(req.query.code);
+    if (!code) {
+      throw new ApiError('INVALID_PARAMS', 'Room code is required');
+    }
+    const room = await getRoom(code, req.query.participant);
+    return res.status(200).json({ room });
+  }
+
+  const body = req.body || {};
+  const code = normalizeRoomCode(body.code);
+  const { participant, slug } = body;
+
+  switch (body.action) {
+    case 'create':
+      return res.status(201).json(await createRoom(body));
+    case 'join':
+      return res.status(200).json(await joinRoom(code, body.name));
+    case 'vote':
+      return res
+        .status(200)
+        .json({ room: await castVote(code, participant, slug) });
+    case 'veto':
+      return res
+        .status(200)
+        .json({ room: await castVeto(code, participant, slug) });
+    case 'close':
+      return res.status(200).json({ room: await closeVoting(code, participant) });
+    case 'round':
+      return res
+        .status(200)
+        .json({ room: await startRound(code, participant, body.candidates) });
+    default:
+      throw new ApiError('INVALID_PARAMS', `Unknown action: ${body.action}`);
+  }
+}
+
+// Everyone in a room polls it every few seconds
+export default withApi(handler, {
+  name: 'rooms',
+  methods: ['GET', 'POST'],
+  rateLimit: 3,
+});
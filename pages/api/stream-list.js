@@ -0,0 +1,115 @@
+import {
+  emptyListError,
+  fetchSourceFilms,
+  resolvePageLimit,
+} from '../../lib/letterboxd';
+import { fetchWatchedSlugs } from '../../lib/watched';
+import { toErrorResponse, withApi } from '../../lib/api';
+import { parseInteger, parseListUrl, parseUsername } from '../../lib/validate';
+
+// Big lists can take longer than the default function limit in vercel.json
+export const config = {
+  maxDuration: 60,
+};
+
+// Streams a list as newline-delimited JSON so the client can roll before
+// the last page is in. Messages, one per line:
+//   { type: 'source', source }
+//   { type: 'page', page, totalPages, films }
+//   { type: 'done', total, watched, meta }
+//   { type: 'error', error, code }
+// Bad parameters are rejected as a plain JSON error before streaming starts.
+async function handler(req, res) {
+  const { source } = parseListUrl(req.query.url);
+  const exclude = parseUsername(req.query.exclude);
+  const pageLimit = resolvePageLimit(
+    source,
+    parseInteger(req.query.maxPages, 'maxPages', { min: 1 })
+  );
+
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'X-Accel-Buffering': 'no',
+  });
+
+  // A stale cache hit can refresh in the background after we've finished,
+  // so ignore anything written once the response has ended
+  const send = (message) => {
+    if (!res.writableEnded) {
+      res.write(`${JSON.stringify(message)}\n`);
+    }
+  };
+
+  send({
+    type: 'source',
+    source: { type: source.type, label: source.label, path: source.path },
+  });
+
+  try {
+    // Exclusions must be known before the first page goes out
+    const watched = exclude ? await fetchWatchedSlugs(exclude) : null;
+    const watchedSlugs = watched?.slugs;
+
+    let streamed = false;
+
+    // Pages can arrive out of order and may overlap; the client puts them
+    // back in page order and dedupes
+    const sendFilms = (page, totalPages, films) => {
+      send({
+        type: 'page',
+        page,
+        totalPages,
+        films: watchedSlugs
+          ? films.filter((film) => !watchedSlugs.has(film.slug))
+          : films,
+      });
+    };
+
+    const { films, meta } = await fetchSourceFilms(source, {
+      pageLimit,
+      onPage: (page, pageFilms, totalPages) => {
+        streamed = true;
+        sendFilms(page, totalPages, pageFilms);
+      },
+    });
+
+    if (films.length === 0) {
+      send({ type: 'error', ...toErrorResponse(emptyListError(source, meta)).body });
+      return res.end();
+    }
+
+    // Cached and RSS lists arrive all at once
+    if (!streamed) {
+      sendFilms(1, 1, films);
+    }
+
+    const excludedCount = watchedSlugs
+      ? films.filter((film) => watchedSlugs.has(film.slug)).length
+      : 0;
+
+    send({
+      type: 'done',
+      total: films.length - excludedCount,
+      watched: watched
+        ? {
+            username: exclude,
+            total: watchedSlugs.size,
+            excluded: excludedCount,
+            truncated: watched.truncated,
+          }
+        : null,
+      meta,
+    });
+  } catch (error) {
+    const { status, body } = toErrorResponse(error, 'Failed to fetch list');
+    if (status >= 500) {
+      console.error('Error streaming list:', error);
+    }
+    send({ type: 'error', ...body });
+  }
+
+  return res.end();
+}
+
+export default withApi(handler, { name: 'stream-list' });
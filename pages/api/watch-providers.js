@@ -0,0 +1,16 @@
+import { fetchWatchProviderList } from '../../lib/tmdb';
+import { ApiError, requireTmdb, withApi } from '../../lib/api';
+import { parseRegion } from '../../lib/validate';
+
+async function handler(req, res) {
+  const region = parseRegion(req.query.region);
+  if (!region) {
+    throw new ApiError('INVALID_PARAMS', 'region is required');
+  }
+  requireTmdb();
+
+  const providers = await fetchWatchProviderList(region);
+  return res.status(200).json({ region, providers });
+}
+
+export default withApi(handler, { name: 'watch-providers' });
@@ -1,157 +1,911 @@
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import Head from 'next/head';
+import { useRouter } from 'next/router';
+import FilterPanel from '../components/FilterPanel';
+import HistoryPanel from '../components/HistoryPanel';
+import PartialListWarning from '../components/PartialListWarning';
+import PoolExport from '../components/PoolExport';
+import ImportPanel from '../components/ImportPanel';
+import SavedLists from '../components/SavedLists';
+import StatsPanel from '../components/StatsPanel';
+import MovieCard from '../components/MovieCard';
+import MovieNight from '../components/MovieNight';
+import Bracket from '../components/Bracket';
+import { resolveSource } from '../lib/sources';
+import { OPERATIONS } from '../lib/combine';
+import {
+  EMPTY_FILTERS,
+  applyFilters,
+  filtersNeedEnrichment,
+} from '../lib/filters';
+import {
+  STRATEGIES,
+  pickAllowedFilm,
+  pickFilms,
+  randomSeed,
+} from '../lib/strategies';
+import { buildShareQuery, parseShareQuery } from '../lib/share';
+import { readNdjson } from '../lib/ndjson';
+import { createLru } from '../lib/lru';
+import { withMoreLikeThis } from '../lib/similar';
+import { DEFAULT_REGION, loadRegion, saveRegion } from '../lib/regions';
+import { decodeBracket, loadBracket } from '../lib/bracket';
+import {
+  EMPTY_HISTORY,
+  addPick,
+  clearHistory,
+  excludedSlugs,
+  loadHistory,
+  markFilm,
+} from '../lib/history';
+import {
+  findSaved,
+  libraryKey,
+  loadLibrary,
+  recordFetch,
+} from '../lib/library';
 
-// Get rating color class based on Letterboxd rating (out of 5)
-const getRatingColorClass = (rating) => {
-  if (rating >= 4.2) return 'rating-excellent';
-  if (rating >= 3.5) return 'rating-great';
-  if (rating >= 2.5) return 'rating-good';
-  if (rating >= 1.8) return 'rating-mixed';
-  return 'rating-poor';
-};
-
-// Get rating color class for TMDB (out of 10) - convert to same scale
-const getTmdbRatingColorClass = (rating) => {
-  const normalized = rating / 2; // Convert 10-scale to 5-scale
-  return getRatingColorClass(normalized);
-};
+const MAX_COMBINED_URLS = 5;
+const ENRICH_BATCH_SIZE = 20;
+const PREFETCH_ROLLS = 3;
+const DETAILS_CACHE_SIZE = 50;
 
 export default function Home() {
+  const router = useRouter();
+  const [mode, setMode] = useState('single');
   const [url, setUrl] = useState('');
+  const [combineUrls, setCombineUrls] = useState(['', '']);
+  const [operation, setOperation] = useState('union');
+  const [combination, setCombination] = useState(null);
   const [films, setFilms] = useState([]);
+  const [source, setSource] = useState(null);
   const [selectedMovie, setSelectedMovie] = useState(null);
   const [loading, setLoading] = useState(false);
   const [loadingMovie, setLoadingMovie] = useState(false);
   const [error, setError] = useState('');
   const [listLoaded, setListLoaded] = useState(false);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [enrichment, setEnrichment] = useState({});
+  const [enrichProgress, setEnrichProgress] = useState(null);
+  const [strategy, setStrategy] = useState('uniform');
+  const [pendingRoll, setPendingRoll] = useState(null);
+  const [shareStatus, setShareStatus] = useState('');
+  const [listKey, setListKey] = useState('');
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const [excludeUser, setExcludeUser] = useState('');
+  const [watched, setWatched] = useState(null);
+  const [streamProgress, setStreamProgress] = useState(null);
+  const [listMeta, setListMeta] = useState(null);
+  const [retryingPages, setRetryingPages] = useState(false);
+  const [region, setRegion] = useState(DEFAULT_REGION);
+  const [movieNight, setMovieNight] = useState(false);
+  const [roomCode, setRoomCode] = useState(null);
+  const [bracketOpen, setBracketOpen] = useState(false);
+  const [sharedBracket, setSharedBracket] = useState(null);
+  const [library, setLibrary] = useState([]);
+  const [statsOpen, setStatsOpen] = useState(false);
 
   // Cache: store fetched list and the URL it was fetched for
-  const cache = useRef({ url: '', films: [] });
+  const cache = useRef({
+    url: '',
+    listKey: '',
+    films: [],
+    source: null,
+    combination: null,
+    watched: null,
+    meta: null,
+    request: null,
+  });
+
+  // Card details by region, list and slug, including ones fetched ahead
+  // of their roll. Holds promises, so a roll that catches up with its
+  // prefetch waits on it rather than fetching again.
+  const detailsCache = useRef(createLru(DETAILS_CACHE_SIZE));
+
+  // Enriched metadata by slug, kept across lists so re-filtering is free
+  const enrichmentCache = useRef({});
+
+  // Seed and roll number of the current pick; together they reproduce it
+  const rollState = useRef({ seed: '', roll: -1 });
+
+  // Shared links are only applied once, on first load
+  const appliedShareQuery = useRef(false);
+
+  // Lets a new fetch cancel a list that's still streaming in
+  const activeStream = useRef(null);
+
+  const needsEnrichment =
+    filtersNeedEnrichment(filters) || STRATEGIES[strategy].needsEnrichment;
+  // The stats view enriches too, but rolls don't wait for it
+  const wantsEnrichment = needsEnrichment || statsOpen;
+  const needsStreaming = filters.services !== '';
+
+  const enrichedFilms = useMemo(
+    () =>
+      films.map((film) =>
+        enrichment[film.slug] ? { ...film, ...enrichment[film.slug] } : film
+      ),
+    [films, enrichment]
+  );
+
+  const excluded = useMemo(() => excludedSlugs(history), [history]);
+
+  // Rolls are taken against the filtered list before this browser's own
+  // exclusions, which a shared link doesn't carry, and skip past those
+  const rollableFilms = useMemo(
+    () => applyFilters(enrichedFilms, filters),
+    [enrichedFilms, filters]
+  );
+
+  const matchingFilms = useMemo(
+    () => rollableFilms.filter((film) => !excluded.has(film.slug)),
+    [rollableFilms, excluded]
+  );
+
+  // "More like this" is matched against the list here rather than on the
+  // server, which would have to fetch the whole list again; doing it on
+  // render also picks up pages that stream in after the roll
+  const shownMovie = useMemo(
+    () => selectedMovie && withMoreLikeThis(selectedMovie, films),
+    [selectedMovie, films]
+  );
+
+  // Where the pool came from, for the JSON export
+  const exportContext = {
+    sources: combination
+      ? combination.sources.map(({ url: sourceUrl, label, path }) => ({
+          url: sourceUrl,
+          label,
+          path,
+        }))
+      : source && [source],
+    operation: combination?.operation,
+    filters: Object.fromEntries(
+      Object.entries(filters).filter(([, value]) => String(value).trim())
+    ),
+    excluded: {
+      watchedBy: watched?.username || null,
+      markedInHistory: excluded.size,
+    },
+  };
+
+  useEffect(() => {
+    setLibrary(loadLibrary());
+  }, []);
+
+  // The loaded list, if it's one that can be saved: a single URL, with
+  // nobody's watched films taken out
+  const { request: loadedRequest } = cache.current;
+  const savableList =
+    listLoaded &&
+    source &&
+    loadedRequest?.mode === 'single' &&
+    !loadedRequest.excludeUser
+      ? {
+          key: libraryKey(loadedRequest.url),
+          url: loadedRequest.url,
+          name: source.path,
+          films,
+          meta: listMeta,
+        }
+      : null;
+
+  // Each list keeps its own history, keyed by its normalized URL
+  useEffect(() => {
+    setHistory(listKey ? loadHistory(listKey) : EMPTY_HISTORY);
+  }, [listKey]);
+
+  // Weighted and filtered rolls are only reproducible once every film's
+  // metadata is in, so hold rolls until then
+  const poolReady =
+    !needsEnrichment ||
+    (enrichProgress !== null &&
+      enrichProgress.total === films.length &&
+      enrichProgress.done >= enrichProgress.total);
+
+  // The region isn't known until we're in the browser
+  useEffect(() => {
+    setRegion(loadRegion());
+  }, []);
+
+  // Filters, weighted strategies and the stats view need TMDB metadata, so
+  // enrich the list in batches once any of them is in use. Streaming
+  // services differ by region, so a region change re-enriches films when
+  // the services filter is on.
+  useEffect(() => {
+    if (!wantsEnrichment || films.length === 0) return undefined;
+
+    let cancelled = false;
+
+    const isPending = (film) => {
+      const entry = enrichmentCache.current[film.slug];
+      if (!entry) return true;
+      return needsStreaming && entry.tmdbId && entry.streamingRegion !== region;
+    };
+
+    const enrichPending = async () => {
+      const pending = films.filter(isPending);
+      const alreadyDone = films.length - pending.length;
+      setEnrichProgress({ done: alreadyDone, total: films.length });
+
+      for (let i = 0; i < pending.length; i += ENRICH_BATCH_SIZE) {
+        const batch = pending.slice(i, i + ENRICH_BATCH_SIZE);
+
+        try {
+          const response = await fetch('/api/enrich', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              films: batch.map(({ title, slug, year }) => ({ title, slug, year })),
+              region,
+            }),
+          });
+          const data = await response.json();
+
+          if (!response.ok) {
+            throw new Error(data.error || 'Failed to load film details');
+          }
+
+          data.films.forEach((entry) => {
+            enrichmentCache.current[entry.slug] = entry;
+          });
+        } catch (err) {
+          if (!cancelled) {
+            setError(err.message || 'An error occurred while filtering films');
+            // Roll with what we have rather than waiting forever
+            setEnrichProgress({ done: films.length, total: films.length });
+          }
+          return;
+        }
+
+        if (cancelled) return;
+        setEnrichment({ ...enrichmentCache.current });
+        setEnrichProgress({
+          done: alreadyDone + i + batch.length,
+          total: films.length,
+        });
+      }
+    };
+
+    enrichPending();
+    return () => {
+      cancelled = true;
+    };
+  }, [wantsEnrichment, needsStreaming, films, region]);
 
   const normalizeUrl = (inputUrl) => {
     // Normalize URL for comparison (trim, remove trailing slashes, lowercase)
     return inputUrl.trim().replace(/\/+$/, '').toLowerCase();
   };
 
-  const fetchList = async () => {
-    if (!url.trim()) {
-      setError('Please enter a Letterboxd list URL');
+  // Options override the form state, for loading a shared link before its
+  // values have landed in state. `roll` replays a specific seed and roll.
+  const fetchList = async (options = {}) => {
+    const request = {
+      mode: options.mode ?? mode,
+      url: options.url ?? url,
+      combineUrls: options.combineUrls ?? combineUrls,
+      operation: options.operation ?? operation,
+      excludeUser: (options.excludeUser ?? excludeUser).trim(),
+    };
+    // A shared roll only lands on the same film against the whole list, so
+    // it waits for the stream to finish; a fresh one goes after the first page
+    const firstRoll = options.roll
+      ? { ...options.roll, wholeList: true }
+      : { seed: randomSeed(), roll: 0 };
+    let endpoint;
+    let normalizedUrl;
+
+    if (request.excludeUser && !/^[a-z0-9_]+$/i.test(request.excludeUser)) {
+      setError('Please enter a valid Letterboxd username');
       return;
     }
 
-    if (!url.includes('letterboxd.com') || !url.includes('/list/')) {
-      setError('Please enter a valid Letterboxd list URL');
-      return;
+    if (request.mode === 'combine') {
+      const urls = request.combineUrls.filter((u) => u.trim());
+      if (urls.length < 2) {
+        setError('Please enter at least two Letterboxd URLs to combine');
+        return;
+      }
+
+      const invalidUrl = urls.find((u) => !resolveSource(u));
+      if (invalidUrl) {
+        setError(`Unsupported Letterboxd URL: ${invalidUrl}`);
+        return;
+      }
+
+      const params = new URLSearchParams({ op: request.operation });
+      urls.forEach((u) => params.append('url', u));
+      endpoint = `/api/combine-lists?${params}`;
+      normalizedUrl = `${request.operation}:${urls.map(normalizeUrl).join('|')}`;
+    } else {
+      if (!request.url.trim()) {
+        setError('Please enter a Letterboxd list URL');
+        return;
+      }
+
+      if (!resolveSource(request.url)) {
+        setError(
+          'Please enter a Letterboxd list, watchlist, films, diary, likes, tag, genre or decade URL'
+        );
+        return;
+      }
+
+      endpoint = `/api/stream-list?url=${encodeURIComponent(request.url)}`;
+      normalizedUrl = normalizeUrl(request.url);
     }
 
-    const normalizedUrl = normalizeUrl(url);
+    // History is per list; the cached pool also depends on who's excluded
+    let cacheKey = normalizedUrl;
+    if (request.excludeUser) {
+      endpoint += `&exclude=${encodeURIComponent(request.excludeUser)}`;
+      cacheKey += `|exclude:${request.excludeUser.toLowerCase()}`;
+    }
 
     // Check cache - if same URL, just pick a new movie
-    if (cache.current.url === normalizedUrl && cache.current.films.length > 0) {
+    if (cache.current.url === cacheKey && cache.current.films.length > 0) {
       setFilms(cache.current.films);
+      setSource(cache.current.source);
+      setCombination(cache.current.combination);
+      setWatched(cache.current.watched);
+      setListMeta(cache.current.meta);
       setListLoaded(true);
       setError('');
       setSelectedMovie(null);
-      pickRandomMovie(cache.current.films);
+      cache.current.request = request;
+      setListKey(normalizedUrl);
+      setPendingRoll(firstRoll);
       return;
     }
 
+    activeStream.current?.abort();
+    const controller = new AbortController();
+    activeStream.current = controller;
+
     setLoading(true);
     setError('');
     setSelectedMovie(null);
     setListLoaded(false);
+    setEnrichProgress(null);
+    setCombination(null);
+    setWatched(null);
+    setListMeta(null);
+    // Rolls automatically once the pool is ready
+    setPendingRoll(firstRoll);
 
     try {
-      const response = await fetch(
-        `/api/fetch-list?url=${encodeURIComponent(url)}`
-      );
-
       let data;
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        data = await response.json();
+
+      if (request.mode === 'single') {
+        data = await streamList(endpoint, controller.signal);
       } else {
-        const text = await response.text();
-        throw new Error(
-          response.ok
-            ? 'Invalid response from server'
-            : `Server error: ${text.substring(0, 100)}`
-        );
-      }
+        const response = await fetch(endpoint, { signal: controller.signal });
 
-      if (!response.ok) {
-        throw new Error(data.error || 'Failed to fetch list');
+        const contentType = response.headers.get('content-type');
+        if (contentType && contentType.includes('application/json')) {
+          data = await response.json();
+        } else {
+          const text = await response.text();
+          throw new Error(
+            response.ok
+              ? 'Invalid response from server'
+              : `Server error: ${text.substring(0, 100)}`
+          );
+        }
+
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to fetch list');
+        }
       }
 
       if (!data.films || data.films.length === 0) {
-        throw new Error('No films found in this list');
+        throw new Error(
+          data.watched
+            ? `${data.watched.username} has already seen every film here`
+            : request.mode === 'combine'
+              ? 'No films match this combination of lists'
+              : 'No films found in this list'
+        );
       }
 
       // Update cache
-      cache.current = { url: normalizedUrl, films: data.films };
+      cache.current = {
+        url: cacheKey,
+        listKey: normalizedUrl,
+        films: data.films,
+        source: data.source || null,
+        combination: data.sources
+          ? { operation: data.operation, sources: data.sources }
+          : null,
+        watched: data.watched || null,
+        meta: data.meta || null,
+        request,
+      };
 
       setFilms(data.films);
+      setSource(data.source || null);
+      setCombination(cache.current.combination);
+      setWatched(cache.current.watched);
+      setListMeta(cache.current.meta);
+      setListKey(normalizedUrl);
       setListLoaded(true);
 
-      // Automatically pick a random movie
-      pickRandomMovie(data.films);
+      // Saved lists track what each fetch found
+      if (
+        request.mode === 'single' &&
+        !request.excludeUser &&
+        findSaved(library, request.url)
+      ) {
+        setLibrary(recordFetch(request.url, data.films, data.meta));
+      }
     } catch (err) {
+      // A newer fetch took over; leave its state alone
+      if (controller.signal.aborted) return;
       setError(err.message || 'An error occurred while fetching the list');
       setFilms([]);
+      setListLoaded(false);
+      setPendingRoll(null);
     } finally {
-      setLoading(false);
+      if (!controller.signal.aborted) {
+        setLoading(false);
+        setStreamProgress(null);
+      }
     }
   };
 
+  // Stream a single list page by page. The pool grows as pages arrive, so
+  // rolling can start after the first one; resolves to the full list in the
+  // same shape /api/fetch-list returns.
+  const streamList = async (endpoint, signal) => {
+    const response = await fetch(endpoint, { signal });
+    const contentType = response.headers.get('content-type') || '';
+
+    if (!contentType.includes('application/x-ndjson')) {
+      const data = contentType.includes('application/json')
+        ? await response.json()
+        : null;
+      throw new Error(data?.error || 'Failed to fetch list');
+    }
+
+    const pages = [];
+    const result = { films: [], source: null, watched: null, meta: null };
+
+    // Pages arrive out of order; rebuild in page order so rolls stay
+    // reproducible, keeping the first copy of each slug
+    const orderedFilms = () => {
+      const seen = new Set();
+      return pages.flat().filter((film) => {
+        if (seen.has(film.slug)) return false;
+        seen.add(film.slug);
+        return true;
+      });
+    };
+
+    await readNdjson(response, (message) => {
+      if (message.type === 'error') {
+        throw new Error(message.error);
+      }
+
+      if (message.type === 'source') {
+        result.source = message.source;
+        setSource(message.source);
+      } else if (message.type === 'page') {
+        pages[message.page - 1] = message.films;
+        result.films = orderedFilms();
+        setFilms(result.films);
+        setStreamProgress({
+          pages: pages.filter(Boolean).length,
+          totalPages: message.totalPages,
+        });
+        if (result.films.length > 0) {
+          setListLoaded(true);
+          setLoading(false);
+        }
+      } else if (message.type === 'done') {
+        result.watched = message.watched;
+        result.meta = message.meta;
+      }
+    });
+
+    return result;
+  };
+
+  // Fetch just the pages that failed and add their films to the pool. They
+  // go on the end rather than in page order, so a link shared before the
+  // retry may roll differently after it.
+  const retryMissingPages = async () => {
+    const { request, meta } = cache.current;
+    if (!request || !meta || meta.failedPages.length === 0) return;
+
+    setRetryingPages(true);
+    setError('');
+
+    try {
+      let endpoint = `/api/fetch-list?url=${encodeURIComponent(
+        request.url
+      )}&pages=${meta.failedPages.join(',')}`;
+      if (request.excludeUser) {
+        endpoint += `&exclude=${encodeURIComponent(request.excludeUser)}`;
+      }
+
+      const response = await fetch(endpoint);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch missing pages');
+      }
+
+      const seen = new Set(cache.current.films.map((film) => film.slug));
+      const merged = [
+        ...cache.current.films,
+        ...data.films.filter((film) => !seen.has(film.slug)),
+      ];
+      const nextMeta = {
+        ...meta,
+        pagesFetched:
+          meta.pagesFetched + meta.failedPages.length - data.failedPages.length,
+        failedPages: data.failedPages,
+      };
+
+      cache.current = { ...cache.current, films: merged, meta: nextMeta };
+      setFilms(merged);
+      setListMeta(nextMeta);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch missing pages');
+    } finally {
+      setRetryingPages(false);
+    }
+  };
+
+  // The API's details with the list's own poster, rank and notes kept
+  // alongside TMDB's
+  const withListData = (data, film) => ({
+    ...data,
+    poster: data.poster || film.poster,
+    position: film.position,
+    notes: film.notes,
+    slug: film.slug,
+    letterboxdUrl: film.letterboxdUrl,
+  });
+
+  // Details differ by region (where to watch) and list (poster, rank and
+  // notes)
+  const detailsKey = (film) => `${region}|${cache.current.url}|${film.slug}`;
+
+  // Full card details for a list entry, from the prefetched ones if the
+  // film was fetched ahead of its roll
+  const fetchMovieDetails = useCallback(
+    async (film) => {
+      const key = detailsKey(film);
+      const prefetched = detailsCache.current.get(key);
+      if (prefetched) {
+        // A failed prefetch gets a second chance on its own
+        return prefetched.catch(() => loadMovieDetails(film));
+      }
+
+      const loading = loadMovieDetails(film);
+      detailsCache.current.set(key, loading);
+      loading.catch(() => detailsCache.current.delete(key));
+      return loading;
+    },
+    [region]
+  );
+
+  const loadMovieDetails = async (film) => {
+    // Use TMDB search by title and pass slug for Letterboxd data
+    const params = new URLSearchParams({
+      title: film.title || '',
+      slug: film.slug || '',
+      year: film.year || '',
+      region,
+    });
+
+    const response = await fetch(`/api/movie-details?${params}`);
+
+    let data;
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      data = await response.json();
+    } else {
+      const text = await response.text();
+      throw new Error(
+        response.ok
+          ? 'Invalid response from server'
+          : `Server error: ${text.substring(0, 100)}`
+      );
+    }
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to fetch movie details');
+    }
+
+    return withListData(data, film);
+  };
+
+  // Fetch details for films likely to be rolled soon, in one batch, so
+  // showing them later is instant. Each film's entry in the details cache
+  // settles as the batch does; a failure just drops it, to be fetched again
+  // when it's actually rolled.
+  const prefetchMovieDetails = (upcoming) => {
+    const missing = upcoming.filter(
+      (film) => !detailsCache.current.has(detailsKey(film))
+    );
+    if (missing.length === 0) return;
+
+    const batch = fetch('/api/movie-details-batch', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        films: missing.map(({ title, slug, year }) => ({ title, slug, year })),
+        region,
+      }),
+    }).then(async (response) => {
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      return data.results;
+    });
+
+    missing.forEach((film, i) => {
+      const key = detailsKey(film);
+      const loading = batch.then((results) => {
+        if (!results[i]?.details) throw new Error(results[i]?.error);
+        return withListData(results[i].details, film);
+      });
+      detailsCache.current.set(key, loading);
+      loading.catch(() => detailsCache.current.delete(key));
+    });
+  };
+
+  // Without an explicit roll, take the next roll of the current seed
   const pickRandomMovie = useCallback(
-    async (filmList = films) => {
-      if (filmList.length === 0) return;
+    async (filmList = rollableFilms, nextRoll = null) => {
+      const isAllowed = (film) => !excluded.has(film.slug);
+      const requested = nextRoll || {
+        seed: rollState.current.seed || randomSeed(),
+        roll: rollState.current.roll + 1,
+      };
+      const { film: randomFilm, roll: landed } = pickAllowedFilm(
+        filmList,
+        strategy,
+        requested,
+        isAllowed
+      );
+      if (!randomFilm) return;
 
       setLoadingMovie(true);
       setError('');
+      setShareStatus('');
 
-      const randomIndex = Math.floor(Math.random() * filmList.length);
-      const randomFilm = filmList[randomIndex];
+      // The roll that landed, so a link to it shows the same film
+      const roll = { seed: requested.seed, roll: landed };
+      rollState.current = roll;
 
       try {
-        // Use TMDB search by title and pass slug for Letterboxd data
-        const params = new URLSearchParams({
-          title: randomFilm.title || '',
-          slug: randomFilm.slug || '',
-        });
-        const response = await fetch(`/api/movie-details?${params}`);
+        const data = await fetchMovieDetails(randomFilm);
+        setSelectedMovie({ ...data, strategy });
+        setHistory(
+          addPick(cache.current.listKey, {
+            slug: randomFilm.slug,
+            title: data.title,
+            year: data.year,
+            tmdbId: data.tmdbId,
+          })
+        );
 
-        let data;
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('application/json')) {
-          data = await response.json();
-        } else {
-          const text = await response.text();
-          throw new Error(
-            response.ok
-              ? 'Invalid response from server'
-              : `Server error: ${text.substring(0, 100)}`
+        // The next few rolls of this seed are known already; have their
+        // details ready before "Pick Another" asks for them
+        const upcoming = [];
+        let next = roll;
+        for (let i = 0; i < PREFETCH_ROLLS; i++) {
+          next = pickAllowedFilm(
+            filmList,
+            strategy,
+            { ...roll, roll: next.roll + 1 },
+            isAllowed
           );
+          if (!next.film) break;
+          upcoming.push(next.film);
         }
+        prefetchMovieDetails(
+          upcoming.filter((film) => film.slug !== randomFilm.slug)
+        );
 
-        if (!response.ok) {
-          throw new Error(data.error || 'Failed to fetch movie details');
+        // Mirror the roll into the address bar so it can be shared
+        if (cache.current.request) {
+          router.replace(
+            {
+              pathname: router.pathname,
+              query: buildShareQuery({
+                ...cache.current.request,
+                strategy,
+                filters,
+                region,
+                ...roll,
+              }),
+            },
+            undefined,
+            { shallow: true }
+          );
         }
-
-        setSelectedMovie({
-          ...data,
-          slug: randomFilm.slug,
-          letterboxdUrl: randomFilm.letterboxdUrl,
-        });
       } catch (err) {
         setError(err.message || 'An error occurred while fetching movie details');
       } finally {
         setLoadingMovie(false);
       }
     },
-    [films]
+    [
+      rollableFilms,
+      excluded,
+      strategy,
+      filters,
+      region,
+      router,
+      fetchMovieDetails,
+    ]
   );
 
+  // Movie-night candidates: several different films from the current pool,
+  // leaving out any the room has vetoed
+  const drawCandidates = async (count, excludeSlugs = []) => {
+    const pool = matchingFilms.filter((film) => !excludeSlugs.includes(film.slug));
+    const drawn = pickFilms(pool, strategy, { seed: randomSeed(), count });
+    const results = await Promise.allSettled(drawn.map(fetchMovieDetails));
+    return results
+      .filter((result) => result.status === 'fulfilled')
+      .map((result) => withMoreLikeThis(result.value, films));
+  };
+
+  useEffect(() => {
+    if (!pendingRoll || !listLoaded || loading || !poolReady) return;
+    if (pendingRoll.wholeList && streamProgress) return;
+    setPendingRoll(null);
+    pickRandomMovie(rollableFilms, pendingRoll);
+  }, [
+    pendingRoll,
+    listLoaded,
+    loading,
+    streamProgress,
+    poolReady,
+    rollableFilms,
+    pickRandomMovie,
+  ]);
+
+  // Opening a shared link restores its list and options, then replays its roll
+  useEffect(() => {
+    if (!router.isReady || appliedShareQuery.current) return;
+    appliedShareQuery.current = true;
+
+    // A movie-night invite opens the room, with or without a list
+    if (typeof router.query.room === 'string') {
+      setRoomCode(router.query.room.toUpperCase());
+      setMovieNight(true);
+    }
+
+    // A shared bracket opens in place of the saved one; either way an
+    // unfinished bracket reopens after a reload
+    const linked =
+      typeof router.query.bracket === 'string'
+        ? decodeBracket(router.query.bracket)
+        : null;
+    if (linked) {
+      setSharedBracket(linked);
+      setBracketOpen(true);
+    } else if (loadBracket()) {
+      setBracketOpen(true);
+    }
+
+    const shared = parseShareQuery(router.query);
+    if (!shared) return;
+
+    setMode(shared.mode);
+    setUrl(shared.url);
+    setCombineUrls(shared.combineUrls);
+    setOperation(shared.operation);
+    setStrategy(shared.strategy);
+    setFilters(shared.filters);
+    setExcludeUser(shared.excludeUser);
+    if (shared.region) setRegion(shared.region);
+    fetchList({
+      ...shared,
+      roll: shared.seed ? { seed: shared.seed, roll: shared.roll } : null,
+    });
+    // fetchList is recreated every render; the ref guard keeps this to once
+  }, [router.isReady, router.query]);
+
+  // Keep the room code in the address bar so a reload rejoins it
+  const changeRoom = (code) => {
+    const { room, ...query } = router.query;
+    router.replace(
+      {
+        pathname: router.pathname,
+        query: code ? { ...query, room: code } : query,
+      },
+      undefined,
+      { shallow: true }
+    );
+    if (!code) {
+      setRoomCode(null);
+      setMovieNight(false);
+    }
+  };
+
+  // Providers on the card follow the region, so fetch them again for it
+  const changeRegion = async (nextRegion) => {
+    setRegion(nextRegion);
+    saveRegion(nextRegion);
+    if (!selectedMovie) return;
+
+    const params = new URLSearchParams({
+      title: selectedMovie.title || '',
+      slug: selectedMovie.slug || '',
+      year: selectedMovie.year || '',
+      region: nextRegion,
+    });
+
+    try {
+      const response = await fetch(`/api/movie-details?${params}`);
+      if (!response.ok) return;
+      const data = await response.json();
+      setSelectedMovie((movie) =>
+        movie && movie.slug === selectedMovie.slug
+          ? { ...movie, watchProviders: data.watchProviders }
+          : movie
+      );
+    } catch (err) {
+      // Keep showing the old region's providers
+    }
+  };
+
+  const handleMark = (slug, status) => {
+    setHistory(markFilm(listKey, slug, status));
+  };
+
+  const shareLink = async () => {
+    if (!cache.current.request) {
+      setShareStatus('Imported lists cannot be shared');
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setShareStatus('Link copied!');
+    } catch (err) {
+      setShareStatus('Could not copy link');
+    }
+  };
+
+  // Imported lists never touch the server until a film is picked, and
+  // can't be shared as a link, so the request behind them stays empty
+  const loadImportedList = ({ name, films: importedFilms }) => {
+    const importKey = `import:${name.toLowerCase()}`;
+    cache.current = {
+      url: importKey,
+      listKey: importKey,
+      films: importedFilms,
+      source: { type: 'import', label: 'imported list', path: name },
+      combination: null,
+      watched: null,
+      meta: null,
+      request: null,
+    };
+
+    setError('');
+    setSelectedMovie(null);
+    setEnrichProgress(null);
+    setFilms(importedFilms);
+    setSource(cache.current.source);
+    setCombination(null);
+    setWatched(null);
+    setListMeta(null);
+    setListKey(importKey);
+    setListLoaded(true);
+    setPendingRoll({ seed: randomSeed(), roll: 0 });
+  };
+
+  const openSavedList = (savedUrl) => {
+    setMode('single');
+    setUrl(savedUrl);
+    fetchList({ mode: 'single', url: savedUrl });
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     fetchList();
@@ -163,6 +917,16 @@ export default function Home() {
     }
   };
 
+  const updateCombineUrl = (index, value) => {
+    setCombineUrls((current) =>
+      current.map((u, i) => (i === index ? value : u))
+    );
+  };
+
+  const removeCombineUrl = (index) => {
+    setCombineUrls((current) => current.filter((_, i) => i !== index));
+  };
+
   return (
     <>
       <Head>
@@ -178,30 +942,140 @@ export default function Home() {
       <div className="container">
         <header>
           <h1>Random Letterboxd Movie</h1>
-          <p>Paste a public list URL and discover your next watch</p>
+          <p>
+            Paste a public list, watchlist or films URL and discover your next
+            watch
+          </p>
         </header>
 
         <main>
           <section className="input-section">
-            <form onSubmit={handleSubmit}>
-              <div className="input-wrapper">
-                <input
-                  type="text"
-                  value={url}
-                  onChange={(e) => setUrl(e.target.value)}
-                  onKeyDown={handleKeyDown}
-                  placeholder="https://letterboxd.com/username/list/list-name/"
-                  disabled={loading}
-                />
-                <button type="submit" disabled={loading}>
-                  {loading ? 'Loading...' : 'Fetch List'}
-                </button>
-              </div>
-            </form>
+            <div className="mode-toggle">
+              <button
+                type="button"
+                className={mode === 'single' ? 'active' : ''}
+                onClick={() => setMode('single')}
+                disabled={loading}
+              >
+                Single list
+              </button>
+              <button
+                type="button"
+                className={mode === 'combine' ? 'active' : ''}
+                onClick={() => setMode('combine')}
+                disabled={loading}
+              >
+                Combine lists
+              </button>
+              <button
+                type="button"
+                className={mode === 'import' ? 'active' : ''}
+                onClick={() => setMode('import')}
+                disabled={loading}
+              >
+                Import file
+              </button>
+            </div>
+
+            {mode === 'import' ? (
+              <ImportPanel onImport={loadImportedList} disabled={loading} />
+            ) : (
+              <form onSubmit={handleSubmit}>
+                {mode === 'single' ? (
+                  <div className="input-wrapper">
+                    <input
+                      type="text"
+                      value={url}
+                      onChange={(e) => setUrl(e.target.value)}
+                      onKeyDown={handleKeyDown}
+                      placeholder="https://letterboxd.com/username/list/list-name/"
+                      disabled={loading}
+                    />
+                    <button type="submit" disabled={loading}>
+                      {loading ? 'Loading...' : 'Fetch List'}
+                    </button>
+                  </div>
+                ) : (
+                  <div className="combine-form">
+                    {combineUrls.map((combineUrl, index) => (
+                      <div className="input-wrapper" key={index}>
+                        <input
+                          type="text"
+                          value={combineUrl}
+                          onChange={(e) => updateCombineUrl(index, e.target.value)}
+                          placeholder={
+                            index === 0
+                              ? 'https://letterboxd.com/username/watchlist/'
+                              : 'https://letterboxd.com/friend/watchlist/'
+                          }
+                          disabled={loading}
+                        />
+                        {combineUrls.length > 2 && (
+                          <button
+                            type="button"
+                            className="secondary-button"
+                            onClick={() => removeCombineUrl(index)}
+                            disabled={loading}
+                          >
+                            Remove
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    <div className="combine-controls">
+                      <select
+                        value={operation}
+                        onChange={(e) => setOperation(e.target.value)}
+                        disabled={loading}
+                      >
+                        {Object.entries(OPERATIONS).map(([value, label]) => (
+                          <option key={value} value={value}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                      {combineUrls.length < MAX_COMBINED_URLS && (
+                        <button
+                          type="button"
+                          className="secondary-button"
+                          onClick={() => setCombineUrls((current) => [...current, ''])}
+                          disabled={loading}
+                        >
+                          Add URL
+                        </button>
+                      )}
+                      <button type="submit" disabled={loading}>
+                        {loading ? 'Loading...' : 'Combine Lists'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+                <div className="exclude-user">
+                  <label htmlFor="exclude-user">
+                    Skip films already logged by
+                  </label>
+                  <input
+                    id="exclude-user"
+                    type="text"
+                    value={excludeUser}
+                    onChange={(e) => setExcludeUser(e.target.value)}
+                    placeholder="Letterboxd username (optional)"
+                    disabled={loading}
+                  />
+                </div>
+              </form>
+            )}
 
             {error && <div className="error-message">{error}</div>}
           </section>
 
+          <SavedLists
+            library={library}
+            onChange={setLibrary}
+            current={savableList}
+            onOpen={openSavedList}
+          />
+
           {loading && (
             <div className="loading">
               <div className="spinner" />
@@ -209,21 +1083,169 @@ export default function Home() {
             </div>
           )}
 
+          {movieNight && (
+            <MovieNight
+              initialCode={roomCode}
+              drawCandidates={
+                listLoaded && poolReady && matchingFilms.length >= 2
+                  ? drawCandidates
+                  : null
+              }
+              region={region}
+              onRegionChange={changeRegion}
+              onRoomChange={changeRoom}
+            />
+          )}
+
+          {bracketOpen && (
+            <Bracket
+              films={matchingFilms}
+              listKey={listKey}
+              sharedBracket={sharedBracket}
+              fetchDetails={fetchMovieDetails}
+            />
+          )}
+
           {listLoaded && !loading && (
             <>
               <div className="list-info">
-                <span>
-                  Found <strong>{films.length}</strong> films in this list
-                </span>
-                <button
-                  className="pick-button"
-                  onClick={() => pickRandomMovie()}
-                  disabled={loadingMovie}
-                >
-                  {loadingMovie ? 'Picking...' : 'Pick Another'}
-                </button>
+                {combination ? (
+                  <span>
+                    Found <strong>{films.length}</strong> films{' '}
+                    {OPERATIONS[combination.operation].toLowerCase()}
+                  </span>
+                ) : (
+                  <span>
+                    Found <strong>{films.length}</strong> films in this{' '}
+                    {source?.label || 'list'}
+                    {streamProgress &&
+                      (streamProgress.totalPages
+                        ? ` · loaded ${streamProgress.pages} of ${streamProgress.totalPages} pages`
+                        : ` · loaded ${streamProgress.pages} pages, still going`)}
+                  </span>
+                )}
+                <div className="pick-controls">
+                  <select
+                    value={strategy}
+                    onChange={(e) => setStrategy(e.target.value)}
+                    aria-label="Pick strategy"
+                  >
+                    {Object.entries(STRATEGIES).map(([value, { label }]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    className="pick-button"
+                    onClick={() => pickRandomMovie()}
+                    disabled={
+                      loadingMovie || !poolReady || matchingFilms.length === 0
+                    }
+                  >
+                    {loadingMovie
+                      ? 'Picking...'
+                      : !poolReady
+                        ? 'Loading film details...'
+                        : selectedMovie
+                        ? 'Pick Another'
+                        : 'Pick a Movie'}
+                  </button>
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => setMovieNight(!movieNight)}
+                  >
+                    Movie night
+                  </button>
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => setBracketOpen(!bracketOpen)}
+                  >
+                    Bracket
+                  </button>
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => setStatsOpen(!statsOpen)}
+                  >
+                    Stats
+                  </button>
+                </div>
               </div>
 
+              {watched && (
+                <div className="watched-summary">
+                  Excluded <strong>{watched.excluded}</strong> film
+                  {watched.excluded === 1 ? '' : 's'} {watched.username} has
+                  logged · <strong>{films.length}</strong> remain
+                  {watched.truncated &&
+                    ` · only their first ${watched.total} logged films` +
+                      ' were checked, so some may be left in'}
+                </div>
+              )}
+
+              {!combination && (
+                <PartialListWarning
+                  meta={listMeta}
+                  onRetry={retryMissingPages}
+                  retrying={retryingPages}
+                />
+              )}
+
+              {combination && (
+                <ul className="source-breakdown">
+                  {combination.sources.map((combined) => (
+                    <li key={combined.url}>
+                      <span className="source-path">{combined.path}</span>
+                      <span>
+                        <strong>{combined.contributed}</strong> of{' '}
+                        {combined.count} films
+                        {(combined.meta.failedPages.length > 0 ||
+                          combined.meta.truncated) && (
+                          <span className="source-partial"> · partial</span>
+                        )}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {statsOpen && (
+                <StatsPanel
+                  films={matchingFilms}
+                  listCount={films.length}
+                  watched={watched}
+                  enrichProgress={enrichProgress}
+                />
+              )}
+
+              <FilterPanel
+                filters={filters}
+                onChange={setFilters}
+                matchCount={matchingFilms.length}
+                totalCount={films.length}
+                enrichProgress={enrichProgress}
+                region={region}
+                onRegionChange={changeRegion}
+              />
+
+              <PoolExport
+                films={matchingFilms}
+                totalCount={films.length}
+                fileBase={
+                  combination ? `combined-${combination.operation}` : source?.path
+                }
+                context={exportContext}
+              />
+
+              <HistoryPanel
+                history={history}
+                onMark={handleMark}
+                onClear={() => setHistory(clearHistory(listKey))}
+              />
+
               {loadingMovie && (
                 <div className="loading">
                   <div className="spinner" />
@@ -232,91 +1254,16 @@ export default function Home() {
               )}
 
               {selectedMovie && !loadingMovie && (
-                <article className="movie-card">
-                  <div className="movie-content">
-                    <div className="poster-container">
-                      {selectedMovie.poster ? (
-                        <img
-                          src={selectedMovie.poster}
-                          alt={`${selectedMovie.title} poster`}
-                          className="poster"
-                        />
-                      ) : (
-                        <div className="poster-placeholder">No poster</div>
-                      )}
-                    </div>
-                    <div className="movie-info">
-                      <h2 className="movie-title">
-                        {selectedMovie.title}
-                        <span className="movie-year">
-                          {' '}
-                          ({selectedMovie.year})
-                        </span>
-                      </h2>
-                      <div className="movie-meta">
-                        <div className="meta-item">
-                          <span className="meta-label">Director</span>
-                          <span className="meta-value">
-                            {selectedMovie.director}
-                          </span>
-                        </div>
-                        <div className="meta-item">
-                          <span className="meta-label">Runtime</span>
-                          <span className="meta-value">
-                            {selectedMovie.runtime}
-                          </span>
-                        </div>
-                        {(selectedMovie.letterboxdRating || selectedMovie.tmdbRating) && (
-                          <div className="meta-item">
-                            <span className="meta-label">Ratings</span>
-                            <span className="meta-value ratings">
-                              {selectedMovie.letterboxdRating && (
-                                <span className="rating">
-                                  <span className="rating-label">Letterboxd:</span>
-                                  <span className={`rating-value ${getRatingColorClass(selectedMovie.letterboxdRating)}`}>
-                                    {selectedMovie.letterboxdRating}/5
-                                  </span>
-                                </span>
-                              )}
-                              {selectedMovie.letterboxdRating && selectedMovie.tmdbRating && (
-                                <span className="rating-separator"> • </span>
-                              )}
-                              {selectedMovie.tmdbRating && (
-                                <span className="rating">
-                                  <span className="rating-label">TMDB:</span>
-                                  <span className={`rating-value ${getTmdbRatingColorClass(selectedMovie.tmdbRating)}`}>
-                                    {selectedMovie.tmdbRating}/10
-                                  </span>
-                                </span>
-                              )}
-                            </span>
-                          </div>
-                        )}
-                      </div>
-                      {selectedMovie.description && (
-                        <div className="movie-description">
-                          <p>{selectedMovie.description}</p>
-                        </div>
-                      )}
-                      <div className="movie-actions">
-                        <a
-                          href={`https://letterboxd.com/film/${selectedMovie.slug}/`}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                        >
-                          View on Letterboxd
-                        </a>
-                        <a
-                          href={`https://www.themoviedb.org/movie/${selectedMovie.tmdbId}`}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                        >
-                          View on TMDB
-                        </a>
-                      </div>
-                    </div>
-                  </div>
-                </article>
+                <MovieCard
+                  key={selectedMovie.slug}
+                  movie={shownMovie}
+                  history={history}
+                  shareStatus={shareStatus}
+                  onShare={shareLink}
+                  onMark={handleMark}
+                  region={region}
+                  onRegionChange={changeRegion}
+                />
               )}
             </>
           )}
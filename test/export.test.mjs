@@ -0,0 +1,96 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  exportFileName,
+  historyToLetterboxdCsv,
+  poolToCsv,
+  poolToJson,
+} from '../lib/export';
+
+const HEAT = {
+  title: 'Heat',
+  year: '1995',
+  slug: 'heat-1995',
+  letterboxdUrl: 'https://letterboxd.com/film/heat-1995/',
+  position: 1,
+  notes: 'Best "heist" film, no contest',
+  director: 'Michael Mann',
+  runtime: 170,
+  genres: ['Action', 'Crime'],
+  tmdbId: '949',
+};
+
+describe('pool exports', () => {
+  test('writes a CSV row per film, quoting where needed', () => {
+    const csv = poolToCsv([
+      HEAT,
+      { title: 'Ran', year: '1985', slug: 'ran', letterboxdUrl: 'u' },
+    ]);
+
+    assert.equal(
+      csv,
+      'Title,Year,Position,Letterboxd URL,Director,Runtime,Genres,' +
+        'Letterboxd Rating,TMDB Rating,tmdbID,Notes\r\n' +
+        'Heat,1995,1,https://letterboxd.com/film/heat-1995/,Michael Mann,170,' +
+        '"Action, Crime",,,949,"Best ""heist"" film, no contest"\r\n' +
+        'Ran,1985,,u,,,,,,,\r\n'
+    );
+  });
+
+  test('JSON keeps the films whole, with where they came from', () => {
+    const data = JSON.parse(poolToJson([HEAT], { operation: 'union' }));
+
+    assert.equal(data.count, 1);
+    assert.equal(data.operation, 'union');
+    assert.deepEqual(data.films, [HEAT]);
+    assert.ok(Date.parse(data.exportedAt));
+  });
+
+  test('names files after the list path', () => {
+    assert.equal(
+      exportFileName('/alice/list/top-films', 'csv'),
+      'alice-list-top-films.csv'
+    );
+    assert.equal(exportFileName(null, 'json'), 'films.json');
+  });
+});
+
+describe('Letterboxd import', () => {
+  test('exports each watched pick once, with the day it was marked', () => {
+    const csv = historyToLetterboxdCsv({
+      picks: [
+        { slug: 'heat-1995', title: 'Heat', year: '1995', tmdbId: '949' },
+        { slug: 'ran', title: 'Ran', year: '1985', tmdbId: '11645' },
+        { slug: 'heat-1995', title: 'Heat', year: '1995', tmdbId: '949' },
+        { slug: 'thief', title: 'Thief', year: 'Unknown', tmdbId: null },
+      ],
+      watched: ['heat-1995', 'thief'],
+      hidden: ['ran'],
+      watchedOn: { 'heat-1995': '2026-10-02' },
+    });
+
+    assert.equal(
+      csv,
+      'Title,Year,tmdbID,WatchedDate\r\n' +
+        'Heat,1995,949,2026-10-02\r\n' +
+        'Thief,,,\r\n'
+    );
+  });
+
+  test('keeps watched films that have dropped out of the picks', () => {
+    const csv = historyToLetterboxdCsv({
+      picks: [{ slug: 'ran', title: 'Ran', year: '1985', tmdbId: '11645' }],
+      watched: ['heat-1995'],
+      hidden: [],
+      watchedOn: { 'heat-1995': '2026-10-02' },
+      watchedFilms: {
+        'heat-1995': { title: 'Heat', year: '1995', tmdbId: '949' },
+      },
+    });
+
+    assert.equal(
+      csv,
+      'Title,Year,tmdbID,WatchedDate\r\nHeat,1995,949,2026-10-02\r\n'
+    );
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import {
+  filmsFromCsv,
+  filmsFromJson,
+  filmsFromText,
+  parseCsv,
+  readImportFile,
+} from '../lib/imports';
+import { poolToJson } from '../lib/export';
+
+const WATCHLIST_CSV =
+  '\uFEFFDate,Name,Year,Letterboxd URI\r\n' +
+  '2024-01-02,Heat,1995,https://boxd.it/2b0k\r\n' +
+  '2024-01-03,"Crouching Tiger, Hidden Dragon",2000,https://boxd.it/1Xu8\r\n' +
+  '2024-01-04,Heat,1995,https://boxd.it/2b0k\r\n';
+
+const LIST_CSV = [
+  'Letterboxd list export v7',
+  'Date,Name,Tags,URL,Description',
+  '2024-02-01,Festival Picks,,https://letterboxd.com/carol/list/festival-picks/,',
+  '',
+  'Position,Name,Year,URL,Description',
+  '1,Solaris,1972,https://letterboxd.com/film/solaris/,"Long, and ""slow"""',
+  '2,The Thing,1982,https://letterboxd.com/film/the-thing/,',
+  '',
+].join('\n');
+
+// A ZIP with one deflated entry per file, enough for readZipTextFiles
+function buildZip(files) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(text);
+    const data = deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    directory.push(entry, nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  }
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...directory, end]);
+}
+
+describe('CSV imports', () => {
+  test('parses quoted fields, escaped quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('a,"b, c","say ""hi""\nthere"\r\nd,,e'), [
+      ['a', 'b, c', 'say "hi"\nthere'],
+      ['d', '', 'e'],
+    ]);
+  });
+
+  test('reads a watchlist export, keyed by its short links', () => {
+    const { name, films } = filmsFromCsv(WATCHLIST_CSV);
+
+    assert.equal(name, null);
+    assert.deepEqual(
+      films.map(({ title, year, slug, letterboxdUrl }) => ({
+        title,
+        year,
+        slug,
+        letterboxdUrl,
+      })),
+      [
+        {
+          title: 'Heat',
+          year: '1995',
+          slug: 'boxd:2b0k',
+          letterboxdUrl: 'https://boxd.it/2b0k',
+        },
+        {
+          title: 'Crouching Tiger, Hidden Dragon',
+          year: '2000',
+          slug: 'boxd:1Xu8',
+          letterboxdUrl: 'https://boxd.it/1Xu8',
+        },
+      ]
+    );
+  });
+
+  test('reads a list export past its header block', () => {
+    const { name, films } = filmsFromCsv(LIST_CSV);
+
+    assert.equal(name, 'Festival Picks');
+    assert.deepEqual(films[0], {
+      title: 'Solaris',
+      year: '1972',
+      slug: 'solaris',
+      letterboxdUrl: 'https://letterboxd.com/film/solaris/',
+      poster: null,
+      position: 1,
+      notes: 'Long, and "slow"',
+    });
+    assert.equal(films[1].slug, 'the-thing');
+  });
+
+  test('finds every list with films in a data export ZIP', async () => {
+    const zip = buildZip({
+      'profile.csv': 'Date Joined,Username\n2020-01-01,carol\n',
+      'watchlist.csv': WATCHLIST_CSV,
+      'lists/festival-picks.csv': LIST_CSV,
+    });
+    const file = new File([zip], 'letterboxd-carol-export.zip');
+
+    const lists = await readImportFile(file);
+
+    assert.deepEqual(
+      lists.map((list) => [list.name, list.file, list.films.length]),
+      [
+        ['watchlist', 'watchlist.csv', 2],
+        ['Festival Picks', 'lists/festival-picks.csv', 2],
+      ]
+    );
+  });
+});
+
+describe('text and JSON imports', () => {
+  test('reads a title per line, with or without years and bullets', () => {
+    const films = filmsFromText(
+      [
+        '# to watch',
+        '1. Heat (1995)',
+        '- Amélie',
+        'https://letterboxd.com/film/the-conversation/',
+        '',
+      ].join('\n')
+    );
+
+    assert.deepEqual(
+      films.map(({ title, year, slug, letterboxdUrl }) => [
+        title,
+        year,
+        slug,
+        letterboxdUrl,
+      ]),
+      [
+        [
+          'Heat',
+          '1995',
+          'title:heat-1995',
+          'https://letterboxd.com/search/films/Heat/',
+        ],
+        [
+          'Amélie',
+          '',
+          'title:amelie',
+          'https://letterboxd.com/search/films/Am%C3%A9lie/',
+        ],
+        [
+          'The Conversation',
+          '',
+          'the-conversation',
+          'https://letterboxd.com/film/the-conversation/',
+        ],
+      ]
+    );
+  });
+
+  test('keeps distinct non-Latin titles from the same year', () => {
+    const films = filmsFromText('七人の侍 (1954)\nゴジラ (1954)\nゴジラ (1954)');
+
+    assert.deepEqual(
+      films.map(({ slug }) => slug),
+      ['title:七人の侍-1954', 'title:ゴジラ-1954']
+    );
+  });
+
+  test('round-trips the JSON pool export', () => {
+    const exported = poolToJson(
+      [
+        {
+          title: 'Solaris',
+          year: '1972',
+          slug: 'solaris',
+          letterboxdUrl: 'https://letterboxd.com/film/solaris/',
+          position: 3,
+        },
+      ],
+      {}
+    );
+
+    const [film] = filmsFromJson(exported);
+
+    assert.equal(film.slug, 'solaris');
+    assert.equal(film.position, 3);
+  });
+
+  test('reads plain arrays of titles and rejects anything else', () => {
+    assert.deepEqual(
+      filmsFromJson('["Heat (1995)", {"name": "Ran", "year": 1985}]').map(
+        (film) => film.slug
+      ),
+      ['title:heat-1995', 'title:ran-1985']
+    );
+    assert.throws(() => filmsFromJson('{"title": "Heat"}'), /JSON array/);
+  });
+
+  test('reports files without any films', async () => {
+    await assert.rejects(
+      readImportFile(new File(['Date,Note\n'], 'notes.csv')),
+      /No films found in notes\.csv/
+    );
+  });
+});
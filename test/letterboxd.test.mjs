@@ -0,0 +1,295 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useFixtureServer } from './support/fixture-server.mjs';
+import { resolveSource } from '../lib/sources';
+import {
+  diagnoseLetterboxdPage,
+  fetchLetterboxdDetails,
+  fetchSourceFilms,
+  fetchSourcePages,
+  requireSourceFilms,
+} from '../lib/letterboxd';
+import { excludeWatchedFilms } from '../lib/watched';
+
+const fixtures = useFixtureServer();
+
+const TOP_FILMS = resolveSource('https://letterboxd.com/alice/list/top-films/');
+
+function requested(prefix) {
+  return fixtures.server.requests.filter((url) => url.startsWith(prefix));
+}
+
+describe('list pagination', () => {
+  test('reads every page of a numbered list in order', async () => {
+    const { films, meta } = await fetchSourceFilms(TOP_FILMS);
+
+    assert.deepEqual(
+      films.map((film) => film.slug),
+      [
+        'heat-1995',
+        'the-thing',
+        'solaris',
+        'alien',
+        'ran',
+        'the-conversation',
+        'le-samourai',
+        'thief',
+      ]
+    );
+    assert.deepEqual(
+      films.map((film) => film.position),
+      [1, 2, 3, 4, 5, 6, 7, 8]
+    );
+    assert.deepEqual(meta, {
+      method: 'scrape',
+      totalPages: 3,
+      pagesFetched: 3,
+      failedPages: [],
+      truncated: false,
+    });
+  });
+
+  test('parses titles, years, notes and public links from the markup', async () => {
+    const { films } = await fetchSourceFilms(TOP_FILMS);
+    const [heat, , , , ran, , samourai] = films;
+
+    assert.deepEqual(heat, {
+      title: 'Heat',
+      year: '1995',
+      slug: 'heat-1995',
+      letterboxdUrl: 'https://letterboxd.com/film/heat-1995/',
+      // Lazy-loaded posters are only a placeholder in the page, so this is
+      // built from the film ID
+      poster:
+        'https://a.ltrbxd.com/resized/film-poster/5/1/5/6/8/51568-heat-1995-0-230-0-345-crop.jpg',
+      position: 1,
+      notes: 'Obsessive thieves, obsessive cops.',
+    });
+    assert.equal(ran.notes, 'Watch it on the biggest screen you can find.');
+    // Without a film ID there's nothing to build it from
+    assert.equal(ran.poster, null);
+    assert.equal(samourai.title, 'Le Samouraï');
+    assert.equal(samourai.year, '1967');
+  });
+
+  test('stops at the page limit and marks the list truncated', async () => {
+    const { films, meta } = await fetchSourceFilms(TOP_FILMS, { pageLimit: 2 });
+
+    assert.equal(films.length, 6);
+    assert.equal(meta.totalPages, 3);
+    assert.equal(meta.truncated, true);
+    assert.deepEqual(requested('/letterboxd/alice/list/top-films/page/3/'), []);
+  });
+
+  test('reports a failed page and fetches the list again next time', async () => {
+    fixtures.server.failPath('/letterboxd/alice/list/top-films/page/2/');
+
+    const first = await fetchSourceFilms(TOP_FILMS);
+    assert.equal(first.films.length, 5);
+    assert.deepEqual(first.meta.failedPages, [2]);
+    assert.equal(first.meta.pagesFetched, 2);
+
+    // Partial lists aren't cached, so a later load goes back to Letterboxd
+    fixtures.server.reset();
+    const second = await fetchSourceFilms(TOP_FILMS);
+    assert.equal(second.films.length, 8);
+    assert.equal(requested('/letterboxd/alice/list/top-films/').length > 0, true);
+  });
+
+  test('re-fetches just the pages asked for', async () => {
+    const { films, failedPages } = await fetchSourcePages(TOP_FILMS, [2, 9]);
+
+    assert.deepEqual(
+      films.map((film) => film.slug),
+      ['alien', 'ran', 'the-conversation']
+    );
+    assert.deepEqual(failedPages, [9]);
+  });
+
+  test('follows next links when the page numbers are missing', async () => {
+    const source = resolveSource('https://letterboxd.com/bob/watchlist/');
+    const { films, meta } = await fetchSourceFilms(source);
+
+    assert.deepEqual(
+      films.map((film) => [film.slug, film.title, film.year]),
+      [
+        ['the-thing', 'The Thing', '1982'],
+        ['solaris', 'Solaris', '1972'],
+        ['heat-1995', 'Heat', '1995'],
+      ]
+    );
+    // Older grids still carry real poster URLs
+    assert.match(films[0].poster, /the-thing-0-70-0-105-crop\.jpg$/);
+    assert.equal(meta.totalPages, 2);
+    assert.equal(meta.truncated, false);
+  });
+});
+
+describe('private lists and the RSS fallback', () => {
+  test('a list with no page or feed is reported as private', async () => {
+    const source = resolveSource('https://letterboxd.com/dave/list/secret/');
+
+    await assert.rejects(requireSourceFilms(source), {
+      name: 'ApiError',
+      code: 'PRIVATE_LIST',
+      status: 404,
+    });
+    // Both the page and the feed were tried
+    assert.ok(requested('/letterboxd/dave/list/secret/rss/').length > 0);
+    assert.ok(requested('/letterboxd/dave/list/secret/').length > 0);
+  });
+
+  test('uses the RSS feed when the list page cannot be scraped', async () => {
+    const source = resolveSource(
+      'https://letterboxd.com/carol/list/festival-picks/'
+    );
+    const { films, meta } = await fetchSourceFilms(source);
+
+    assert.equal(meta.method, 'rss');
+    assert.deepEqual(
+      films.map((film) => [film.slug, film.title, film.year, film.notes]),
+      [
+        ['ran', 'Ran', '1985', 'Saw it at the retrospective.'],
+        ['thief', 'Thief', '1981', null],
+      ]
+    );
+    assert.match(films[0].poster, /ran-0-600-0-900-crop\.jpg$/);
+  });
+
+  test('a missing list costs one request; a failing Letterboxd is retried', async () => {
+    const source = resolveSource('https://letterboxd.com/dave/watchlist/');
+
+    await assert.rejects(requireSourceFilms(source), { code: 'PRIVATE_LIST' });
+    assert.equal(requested('/letterboxd/dave/watchlist/').length, 1);
+
+    fixtures.server.reset();
+    fixtures.server.failPath('/letterboxd/dave/watchlist/', 503);
+    await assert.rejects(requireSourceFilms(source), {
+      code: 'UPSTREAM_ERROR',
+      status: 502,
+    });
+    assert.equal(requested('/letterboxd/dave/watchlist/').length, 3);
+  });
+
+  test('only lists have a feed to fall back to', async () => {
+    const source = resolveSource('https://letterboxd.com/dave/watchlist/');
+
+    await assert.rejects(requireSourceFilms(source), { code: 'PRIVATE_LIST' });
+    assert.deepEqual(requested('/letterboxd/dave/watchlist/rss/'), []);
+  });
+});
+
+describe('film pages', () => {
+  test('reads the rating, TMDB link and year', async () => {
+    const details = await fetchLetterboxdDetails('heat-1995');
+
+    assert.equal(details.rating, 4.32);
+    assert.equal(details.tmdbId, '949');
+    assert.equal(details.tmdbType, 'movie');
+    assert.equal(details.year, '1995');
+    assert.match(details.description, /^Obsessive master thief/);
+  });
+
+  test('falls back to the structured data for the rating', async () => {
+    const details = await fetchLetterboxdDetails('the-thing');
+
+    assert.equal(details.rating, 4.21);
+    assert.equal(details.tmdbId, null);
+    assert.equal(details.year, '1982');
+  });
+
+  test('leaves the rating out when the film has none', async () => {
+    const details = await fetchLetterboxdDetails('solaris');
+
+    assert.equal(details.rating, null);
+    assert.equal(details.originalTitle, 'Солярис');
+  });
+
+  test('a missing film page gives null', async () => {
+    assert.equal(await fetchLetterboxdDetails('no-such-film'), null);
+  });
+});
+
+describe('markup fallbacks', () => {
+  test('reads a list whose poster markup has changed from its links', async () => {
+    const source = resolveSource('https://letterboxd.com/erin/list/redesign/');
+    const { films, meta } = await fetchSourceFilms(source);
+
+    assert.deepEqual(
+      films.map((film) => [film.slug, film.title, film.year]),
+      [
+        ['alien', 'Alien', '1979'],
+        ['thief', 'Thief', '1981'],
+        ['ran', 'Ran', '1985'],
+      ]
+    );
+    assert.match(films[0].poster, /alien-0-150-0-225-crop\.jpg$/);
+    assert.equal(meta.totalPages, 2);
+
+    // The fallback is logged
+    const logged = console.info.mock.calls.map((call) => call.arguments[0]);
+    assert.ok(logged.some((line) => line.includes('parsed with film-links')));
+  });
+
+  test('diagnoses which list strategies work', async () => {
+    const report = await diagnoseLetterboxdPage({ source: TOP_FILMS });
+    const works = (field) =>
+      report.fields[field]
+        .filter((strategy) => strategy.works)
+        .map((strategy) => strategy.strategy);
+
+    assert.equal(report.status, 200);
+    assert.equal(report.entryCount, 3);
+    // Current list pages render poster links client-side
+    assert.deepEqual(works('entries'), ['list-items', 'poster-attributes']);
+    assert.deepEqual(works('slug'), ['item-slug', 'target-link']);
+    assert.deepEqual(works('lastPage'), ['page-numbers', 'page-links']);
+    assert.equal(report.fields.entries[0].count, 3);
+    assert.equal(report.fields.entries[0].sample, 'heat-1995');
+  });
+
+  test('diagnoses which film page strategies work', async () => {
+    const report = await diagnoseLetterboxdPage({ filmSlug: 'heat-1995' });
+    const rating = Object.fromEntries(
+      report.fields.rating.map(({ strategy, works }) => [strategy, works])
+    );
+
+    assert.deepEqual(rating, {
+      'twitter-meta': true,
+      'json-ld': true,
+      'average-rating': false,
+    });
+    assert.equal(
+      report.fields.tmdb[0].sample,
+      '{"tmdbId":"949","tmdbType":"movie"}'
+    );
+  });
+
+  test('reports a page that could not be fetched', async () => {
+    const report = await diagnoseLetterboxdPage({ filmSlug: 'no-such-film' });
+
+    assert.equal(report.status, 404);
+    assert.equal(report.fields, null);
+  });
+});
+
+describe('watched films', () => {
+  test('says when not every logged film could be checked', async () => {
+    // Page 2 of dave's films is missing, so the scrape stops at page 1
+    const { films, watched } = await excludeWatchedFilms(
+      [
+        { slug: 'heat-1995', title: 'Heat' },
+        { slug: 'solaris', title: 'Solaris' },
+      ],
+      'dave'
+    );
+
+    assert.deepEqual(films.map((film) => film.slug), ['heat-1995']);
+    assert.deepEqual(watched, {
+      username: 'dave',
+      total: 2,
+      excluded: 1,
+      truncated: true,
+    });
+  });
+});
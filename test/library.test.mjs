@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  STALE_AFTER,
+  diffFilms,
+  exportLibrary,
+  importLibrary,
+  isStale,
+  libraryWriteError,
+  loadLibrary,
+  recordFetch,
+  removeList,
+  saveList,
+} from '../lib/library';
+
+const URL = 'https://letterboxd.com/alice/list/top-films/';
+
+const film = (slug, title = slug) => ({ slug, title, year: '1995' });
+
+// The library lives in localStorage, which only browsers have
+beforeEach(() => {
+  const items = new Map();
+  globalThis.window = {
+    localStorage: {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, String(value)),
+    },
+  };
+});
+
+afterEach(() => {
+  delete globalThis.window;
+});
+
+describe('saved lists', () => {
+  test('saves a list once, keyed by its normalized URL', () => {
+    saveList({ name: 'Top films', url: URL });
+    const library = saveList({
+      name: "Alice's top films",
+      url: 'https://letterboxd.com/Alice/list/top-films',
+    });
+
+    assert.equal(library.length, 1);
+    assert.equal(library[0].name, "Alice's top films");
+    assert.equal(library[0].url, URL);
+    assert.deepEqual(removeList(URL), []);
+  });
+
+  test('diffs each fetch against the one before', () => {
+    saveList({ name: 'Top films', url: URL });
+    const first = Date.parse('2026-01-01T00:00:00Z');
+    recordFetch(URL, [film('heat-1995'), film('ran')], null, first);
+
+    const [entry] = recordFetch(
+      URL,
+      [film('ran'), film('the-thing')],
+      null,
+      first + 1000
+    );
+
+    assert.equal(entry.count, 2);
+    assert.equal(entry.fetchedAt, '2026-01-01T00:00:01.000Z');
+    assert.deepEqual(entry.changes, {
+      since: '2026-01-01T00:00:00.000Z',
+      added: [film('the-thing')],
+      removed: [{ slug: 'heat-1995' }],
+    });
+    assert.deepEqual(entry.films, ['ran', 'the-thing']);
+  });
+
+  test('says when the library could not be stored', () => {
+    window.localStorage.setItem = () => {
+      throw new Error('QuotaExceededError');
+    };
+
+    saveList({ name: 'Top films', url: URL });
+    assert.match(libraryWriteError(), /storage is full/);
+  });
+
+  test('keeps the last complete fetch when pages failed', () => {
+    saveList({ name: 'Top films', url: URL });
+    recordFetch(URL, [film('heat-1995'), film('ran')], null);
+
+    const [entry] = recordFetch(URL, [film('ran')], { failedPages: [2] });
+
+    assert.equal(entry.count, 2);
+    assert.equal(entry.changes, null);
+    assert.equal(entry.error, 'Some pages failed to load');
+  });
+
+  test('is stale until fetched, then again after a while', () => {
+    const now = Date.now();
+    assert.equal(isStale({ fetchedAt: null }, now), true);
+    assert.equal(
+      isStale({ fetchedAt: new Date(now - 1000).toISOString() }, now),
+      false
+    );
+    assert.equal(
+      isStale({ fetchedAt: new Date(now - STALE_AFTER - 1).toISOString() }, now),
+      true
+    );
+  });
+
+  test('exports names and URLs and imports them back', () => {
+    saveList({ name: 'Top films', url: URL });
+    recordFetch(URL, [film('heat-1995')], null);
+    const exported = exportLibrary();
+
+    assert.deepEqual(Object.keys(JSON.parse(exported)[0]), [
+      'name',
+      'url',
+      'count',
+      'fetchedAt',
+    ]);
+
+    removeList(URL);
+    const library = importLibrary(exported);
+    assert.deepEqual(
+      library.map(({ name, url, count }) => [name, url, count]),
+      [['Top films', URL, null]]
+    );
+    assert.deepEqual(loadLibrary(), library);
+    assert.throws(() => importLibrary('{}'), /JSON array/);
+  });
+
+  test('diffFilms compares by slug', () => {
+    assert.deepEqual(diffFilms(['a', 'b'], [film('a', 'New title')]), {
+      added: [],
+      removed: [{ slug: 'b' }],
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLru } from '../lib/lru';
+
+describe('lru', () => {
+  test('drops the least recently used entry past its size', () => {
+    const lru = createLru(2);
+    lru.set('a', 1);
+    lru.set('b', 2);
+    assert.equal(lru.get('a'), 1);
+    lru.set('c', 3);
+
+    assert.equal(lru.size, 2);
+    assert.equal(lru.has('b'), false);
+    assert.equal(lru.get('a'), 1);
+    assert.equal(lru.get('c'), 3);
+  });
+
+  test('replacing or deleting an entry keeps the size right', () => {
+    const lru = createLru(2);
+    lru.set('a', 1);
+    lru.set('a', 2);
+    assert.equal(lru.size, 1);
+    assert.equal(lru.get('a'), 2);
+
+    lru.delete('a');
+    assert.equal(lru.get('a'), undefined);
+    assert.equal(lru.size, 0);
+  });
+});
@@ -0,0 +1,36 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkRateLimit, clientIp } from '../lib/ratelimit';
+
+const request = (remoteAddress, forwarded) => ({
+  headers: forwarded ? { 'x-forwarded-for': forwarded } : {},
+  socket: { remoteAddress },
+});
+
+afterEach(() => {
+  delete process.env.TRUST_PROXY;
+});
+
+describe('rate limit', () => {
+  test('a spoofed X-Forwarded-For does not reset the bucket', () => {
+    // A limit of one request a minute
+    const scale = 1 / 60;
+    assert.equal(
+      checkRateLimit(request('10.0.0.1', '1.1.1.1'), 'spoof', scale).allowed,
+      true
+    );
+    assert.equal(
+      checkRateLimit(request('10.0.0.1', '2.2.2.2'), 'spoof', scale).allowed,
+      false
+    );
+  });
+
+  test('behind a trusted proxy, uses the hop the proxy appended', () => {
+    process.env.TRUST_PROXY = '1';
+    assert.equal(
+      clientIp(request('10.0.0.1', '1.1.1.1, 203.0.113.7')),
+      '203.0.113.7'
+    );
+    assert.equal(clientIp(request('10.0.0.1')), '10.0.0.1');
+  });
+});
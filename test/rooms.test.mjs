@@ -0,0 +1,74 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoom } from '../lib/rooms';
+
+const candidate = (slug, fields = {}) => ({
+  slug,
+  title: slug,
+  year: '1995',
+  ...fields,
+});
+
+function create(fields) {
+  return createRoom({
+    name: 'Alice',
+    candidates: [candidate('heat-1995', fields), candidate('ran')],
+  });
+}
+
+describe('room candidates', () => {
+  test('keep checked card fields and rebuild the link', async () => {
+    const { room } = await create({
+      letterboxdUrl: 'javascript:alert(1)',
+      poster: 'https://image.tmdb.org/t/p/w500/heat.jpg',
+      genres: ['Crime', 'Drama'],
+      tmdbRating: 7.9,
+      moreLikeThis: [{ slug: 'thief' }],
+    });
+
+    assert.deepEqual(room.candidates[0], {
+      slug: 'heat-1995',
+      title: 'heat-1995',
+      letterboxdUrl: 'https://letterboxd.com/film/heat-1995/',
+      year: '1995',
+      poster: 'https://image.tmdb.org/t/p/w500/heat.jpg',
+      genres: ['Crime', 'Drama'],
+      tmdbRating: 7.9,
+    });
+  });
+
+  test('reject script URLs, foreign hosts and unsafe slugs', async () => {
+    await assert.rejects(create({ poster: 'javascript:alert(1)' }), {
+      code: 'INVALID_PARAMS',
+    });
+    await assert.rejects(create({ poster: 'https://evil.example/x.jpg' }), {
+      code: 'INVALID_PARAMS',
+    });
+    await assert.rejects(
+      createRoom({
+        name: 'Alice',
+        candidates: [candidate('"><script>'), candidate('ran')],
+      }),
+      { code: 'INVALID_PARAMS' }
+    );
+  });
+
+  test('reject fields of the wrong type', async () => {
+    await assert.rejects(create({ description: { html: '<b>hi</b>' } }), {
+      code: 'INVALID_PARAMS',
+    });
+    await assert.rejects(create({ genres: ['Crime', ['Drama']] }), {
+      code: 'INVALID_PARAMS',
+    });
+  });
+
+  test('cut long text and lists short', async () => {
+    const { room } = await create({
+      description: 'x'.repeat(100000),
+      genres: Array.from({ length: 100 }, (_, i) => `Genre ${i}`),
+    });
+
+    assert.equal(room.candidates[0].description.length, 2000);
+    assert.equal(room.candidates[0].genres.length, 20);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatMinutes, poolStats, watchedShare } from '../lib/stats';
+
+const FILMS = [
+  {
+    slug: 'heat-1995',
+    year: '1995',
+    tmdbId: '949',
+    runtime: 170,
+    genres: ['Action', 'Crime'],
+    director: 'Michael Mann',
+    letterboxdRating: 4.32,
+    tmdbRating: 7.9,
+  },
+  {
+    slug: 'thief',
+    year: '1981',
+    tmdbId: '11524',
+    runtime: 123,
+    genres: ['Crime', 'Drama'],
+    director: 'Michael Mann',
+    letterboxdRating: 3.9,
+    tmdbRating: 7.1,
+  },
+  { slug: 'ran', year: '1985', tmdbId: null },
+  { slug: 'solaris', year: '1972' },
+];
+
+describe('pool stats', () => {
+  test('counts years and decades over the whole range', () => {
+    const stats = poolStats(FILMS);
+
+    assert.deepEqual(stats.decades, [
+      ['1970s', 1],
+      ['1980s', 2],
+      ['1990s', 1],
+    ]);
+    assert.equal(stats.years.length, 1995 - 1972 + 1);
+    assert.deepEqual(stats.years[0], ['1972', 1]);
+    assert.deepEqual(stats.years[1], ['1973', 0]);
+  });
+
+  test('summarises only the films matched on TMDB', () => {
+    const stats = poolStats(FILMS);
+
+    assert.equal(stats.count, 4);
+    assert.equal(stats.enriched, 3);
+    assert.equal(stats.matched, 2);
+    assert.deepEqual(stats.genres, [
+      ['Crime', 2],
+      ['Action', 1],
+      ['Drama', 1],
+    ]);
+    assert.deepEqual(stats.directors, [['Michael Mann', 2]]);
+    assert.deepEqual(stats.runtime, { known: 2, total: 293, average: 147 });
+  });
+
+  test('bins ratings by their scale', () => {
+    const stats = poolStats([
+      ...FILMS,
+      { slug: 'top', tmdbId: '1', letterboxdRating: 5, tmdbRating: 10 },
+    ]);
+
+    assert.equal(stats.letterboxdRatings.length, 10);
+    assert.deepEqual(
+      stats.letterboxdRatings.filter(([, count]) => count > 0),
+      [
+        ['3.5', 1],
+        ['4', 1],
+        ['4.5', 1],
+      ]
+    );
+    assert.deepEqual(
+      stats.tmdbRatings.filter(([, count]) => count > 0),
+      [
+        ['7', 2],
+        ['9', 1],
+      ]
+    );
+  });
+
+  test('has nothing to chart for an empty pool', () => {
+    const stats = poolStats([]);
+
+    assert.deepEqual(stats.years, []);
+    assert.equal(stats.runtime.average, null);
+  });
+});
+
+describe('stat helpers', () => {
+  test('share of the list a user has logged', () => {
+    assert.equal(watchedShare({ username: 'alice', excluded: 25 }, 75), 25);
+    assert.equal(watchedShare(null, 75), null);
+  });
+
+  test('formats minutes as hours', () => {
+    assert.equal(formatMinutes(293), '4h 53m');
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pickAllowedFilm, pickFilm } from '../lib/strategies';
+
+const films = Array.from({ length: 20 }, (_, i) => ({
+  slug: `film-${i}`,
+  position: i + 1,
+}));
+
+describe('shared rolls', () => {
+  ['uniform', 'ranked', 'shuffle'].forEach((strategy) => {
+    test(`${strategy}: a seed picks the same film despite exclusions`, () => {
+      const mine = new Set(['film-3', 'film-7', 'film-11', 'film-15']);
+      // Exclude whatever the first roll lands on, so it has to move on
+      const { film: first } = pickFilm(films, strategy, { seed: 'abc' });
+      mine.add(first.slug);
+
+      // Rolling with my exclusions moves past the ones I've marked...
+      const picked = pickAllowedFilm(
+        films,
+        strategy,
+        { seed: 'abc', roll: 0 },
+        (film) => !mine.has(film.slug)
+      );
+      assert.ok(!mine.has(picked.film.slug));
+      assert.ok(picked.roll > 0);
+
+      // ...and the link's seed and roll give the same film without them
+      const shared = pickAllowedFilm(
+        films,
+        strategy,
+        { seed: 'abc', roll: picked.roll },
+        () => true
+      );
+      assert.equal(shared.film.slug, picked.film.slug);
+    });
+  });
+
+  test('finds nothing when every film is excluded', () => {
+    const none = () => false;
+    const picked = pickAllowedFilm(films, 'uniform', { seed: 'abc' }, none);
+    assert.equal(picked.film, null);
+  });
+});
@@ -0,0 +1,160 @@
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { after, afterEach, before, beforeEach, mock } from 'node:test';
+import { createMemoryStore, setCacheStore } from '../../lib/cache';
+import { setUpstream } from '../../lib/upstream';
+
+// A local stand-in for Letterboxd and TMDB, serving recorded responses from
+// test/fixtures:
+//   /letterboxd/<path>/  letterboxd/<path>/index.html, or index.xml for feeds
+//   /tmdb/<path>         tmdb/<path>.json; a search's query is the file
+//                        name, e.g. tmdb/search/movie/the-thing.json
+// Anything without a fixture gets a 404, as a private or deleted list does.
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+// The only TMDB_API_KEY the stand-in TMDB accepts
+export const TMDB_TOKEN = 'fixture-token';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.xml': 'application/rss+xml; charset=utf-8',
+  '.json': 'application/json;charset=utf-8',
+};
+
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function candidateFiles(url) {
+  const [, site, ...rest] = url.pathname.split('/');
+  const route = rest.filter(Boolean).map(decodeURIComponent);
+  if (route.some((segment) => segment.startsWith('.'))) return [];
+
+  if (site === 'letterboxd') {
+    const dir = path.join(FIXTURES, 'letterboxd', ...route);
+    return [path.join(dir, 'index.html'), path.join(dir, 'index.xml')];
+  }
+  if (site === 'tmdb') {
+    const query = url.searchParams.get('query');
+    if (query !== null) route.push(slugify(query));
+    return [`${path.join(FIXTURES, 'tmdb', ...route)}.json`];
+  }
+  return [];
+}
+
+async function readFixture(url) {
+  for (const file of candidateFiles(url)) {
+    try {
+      return { file, body: await fs.readFile(file) };
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+// Resolves to { letterboxdBase, tmdbBase, requests, failPath, reset, close }.
+// `requests` lists every path (with query) asked for, in order.
+export async function startFixtureServer() {
+  const requests = [];
+  const failures = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(`${url.pathname}${url.search}`);
+
+    if (failures.has(url.pathname)) {
+      res.writeHead(failures.get(url.pathname));
+      return res.end();
+    }
+
+    // TMDB rejects requests without a valid token
+    if (
+      url.pathname.startsWith('/tmdb/') &&
+      req.headers.authorization !== `Bearer ${TMDB_TOKEN}`
+    ) {
+      res.writeHead(401, { 'Content-Type': CONTENT_TYPES['.json'] });
+      return res.end(
+        JSON.stringify({ status_code: 7, status_message: 'Invalid API key' })
+      );
+    }
+
+    const fixture = await readFixture(url);
+    if (!fixture) {
+      res.writeHead(404, { 'Content-Type': CONTENT_TYPES['.html'] });
+      return res.end('<html><body><h1>Page not found</h1></body></html>');
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(fixture.file)],
+    });
+    return res.end(fixture.body);
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    letterboxdBase: `${origin}/letterboxd`,
+    tmdbBase: `${origin}/tmdb`,
+    requests,
+    // Answer `pathname` (e.g. '/letterboxd/alice/list/x/page/2/') with a
+    // bare status instead of its fixture
+    failPath(pathname, status = 500) {
+      failures.set(pathname, status);
+    },
+    reset() {
+      requests.length = 0;
+      failures.clear();
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// Point the app at a fixture server for the tests in the calling file, with
+// an empty cache and quiet console for each test. Returns an object whose
+// `server` is set once the file's `before` hooks have run.
+export function useFixtureServer() {
+  const context = { server: null };
+  let previous;
+
+  before(async () => {
+    context.server = await startFixtureServer();
+    previous = setUpstream({
+      letterboxdBase: context.server.letterboxdBase,
+      tmdbBase: context.server.tmdbBase,
+      // Retries still happen, just without the wait
+      retryDelay: 1,
+    });
+  });
+
+  beforeEach(() => {
+    context.server.reset();
+    setCacheStore(createMemoryStore());
+    // Failed fetches are logged as they happen; the tests check the results
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'info', () => {});
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  after(async () => {
+    setUpstream(previous);
+    await context.server.close();
+  });
+
+  return context;
+}
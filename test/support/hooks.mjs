@@ -0,0 +1,36 @@
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import path from 'node:path';
+
+// The app's modules are ES modules with extensionless imports, which Next's
+// bundler resolves but Node doesn't. These loader hooks let the tests import
+// them directly: './cache' resolves to './cache.js', and the app's .js files
+// load as ES modules even though package.json doesn't say "type": "module".
+
+const ROOT = pathToFileURL(
+  path.resolve(fileURLToPath(import.meta.url), '../../..') + path.sep
+).href;
+
+function isAppFile(url) {
+  return (
+    url.startsWith(ROOT) && !url.slice(ROOT.length).startsWith('node_modules/')
+  );
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (
+    specifier.startsWith('.') &&
+    !path.extname(specifier) &&
+    context.parentURL &&
+    isAppFile(context.parentURL)
+  ) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (isAppFile(url) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+
+// Run with `node --import ./test/support/register.mjs`
+register('./hooks.mjs', import.meta.url);
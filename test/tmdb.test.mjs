@@ -0,0 +1,326 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TMDB_TOKEN, useFixtureServer } from './support/fixture-server.mjs';
+import { fetchTmdbMovie, searchTmdbByTitle } from '../lib/tmdb';
+import { matchTmdbMovie } from '../lib/match';
+import { fetchMovieDetails, fetchMovieDetailsBatch } from '../lib/details';
+import { findSimilarInList, withMoreLikeThis } from '../lib/similar';
+import detailsHandler from '../pages/api/movie-details';
+import batchHandler from '../pages/api/movie-details-batch';
+
+const fixtures = useFixtureServer();
+
+let previousKey;
+before(() => {
+  previousKey = process.env.TMDB_API_KEY;
+  process.env.TMDB_API_KEY = TMDB_TOKEN;
+});
+after(() => {
+  if (previousKey === undefined) delete process.env.TMDB_API_KEY;
+  else process.env.TMDB_API_KEY = previousKey;
+});
+
+// Just enough of Next's req and res to call a route handler
+async function callHandler(handler, { method = 'GET', query = {}, body }) {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const req = {
+    method,
+    query,
+    body,
+    headers: {},
+    socket: { remoteAddress: '127.0.0.1' },
+  };
+  await handler(req, res);
+  return res;
+}
+
+function searches() {
+  return fixtures.server.requests.filter((url) =>
+    url.startsWith('/tmdb/search/')
+  );
+}
+
+describe('title search', () => {
+  test('the year picks the right film out of a remake', async () => {
+    const result = await searchTmdbByTitle('The Thing', { year: '1982' });
+
+    assert.equal(result.tmdbId, '1091');
+    assert.equal(result.confidence, 'high');
+  });
+
+  test('a year in the title counts as the year', async () => {
+    const result = await searchTmdbByTitle('The Thing (1982)');
+
+    assert.equal(result.tmdbId, '1091');
+  });
+
+  test("without a year, TMDB's own order decides", async () => {
+    const result = await searchTmdbByTitle('The Thing');
+
+    assert.equal(result.tmdbId, '60935');
+    assert.equal(result.confidence, 'medium');
+  });
+
+  test('a namesake from the wrong year is a low-confidence match', async () => {
+    const result = await searchTmdbByTitle('The Conversation', {
+      year: '1974',
+    });
+
+    assert.equal(result.tmdbId, '1137463');
+    assert.equal(result.confidence, 'low');
+  });
+
+  test('a Japanese original title only matches itself', async () => {
+    const result = await searchTmdbByTitle('Seven Samurai', {
+      year: '1954',
+      originalTitle: '七人の侍',
+    });
+
+    assert.equal(result.tmdbId, '346');
+    assert.equal(result.confidence, 'high');
+  });
+
+  test('a Cyrillic title only matches itself', async () => {
+    const result = await searchTmdbByTitle('Сталкер', { year: '1979' });
+
+    assert.equal(result.tmdbId, '1398');
+    assert.equal(result.confidence, 'high');
+  });
+
+  test('no results gives null', async () => {
+    assert.equal(await searchTmdbByTitle('No Such Film'), null);
+  });
+
+  test('a rejected API key gives null', async () => {
+    process.env.TMDB_API_KEY = 'expired-token';
+    try {
+      assert.equal(await searchTmdbByTitle('The Thing'), null);
+    } finally {
+      process.env.TMDB_API_KEY = TMDB_TOKEN;
+    }
+  });
+});
+
+describe('matching list entries', () => {
+  test("uses the film page's TMDB ID without searching", async () => {
+    const result = await matchTmdbMovie({ title: 'Heat', slug: 'heat-1995' });
+
+    assert.equal(result.tmdbId, '949');
+    assert.deepEqual(result.match, {
+      method: 'letterboxd',
+      confidence: 'exact',
+    });
+    assert.deepEqual(searches(), []);
+  });
+
+  test('a page linked to a TV entry falls back to the search', async () => {
+    const result = await matchTmdbMovie({
+      title: 'Solaris',
+      slug: 'solaris',
+      year: '1972',
+    });
+
+    assert.equal(result.tmdbId, '593');
+    assert.deepEqual(result.match, { method: 'search', confidence: 'high' });
+  });
+
+  test('the year from the film page beats a wrong one on the list', async () => {
+    const result = await matchTmdbMovie({
+      title: 'The Thing',
+      slug: 'the-thing',
+      year: '2011',
+    });
+
+    assert.equal(result.tmdbId, '1091');
+    assert.equal(result.letterboxdData.rating, 4.21);
+  });
+
+  test('a film with no page or search result stays unmatched', async () => {
+    const result = await matchTmdbMovie({
+      title: 'No Such Film',
+      slug: 'no-such-film',
+    });
+
+    assert.equal(result.tmdbId, null);
+    assert.equal(result.match, null);
+  });
+});
+
+describe('movie records', () => {
+  test('are cut down to what the app reads before caching', async () => {
+    const movie = await fetchTmdbMovie('949');
+
+    assert.equal(movie.title, 'Heat');
+    assert.equal(movie.videos, undefined);
+    assert.equal(movie.recommendations, undefined);
+    assert.ok(movie.credits.crew.every((person) => person.job === 'Director'));
+    assert.deepEqual(Object.keys(movie.credits.cast[0]).sort(), [
+      'character',
+      'name',
+      'order',
+      'profile_path',
+    ]);
+  });
+});
+
+describe('movie details', () => {
+  test('merges TMDB details with the Letterboxd page', async () => {
+    const details = await fetchMovieDetails({
+      title: 'Heat',
+      slug: 'heat-1995',
+      year: '1995',
+      region: 'US',
+    });
+
+    assert.equal(details.tmdbId, '949');
+    assert.equal(details.director, 'Michael Mann');
+    assert.equal(details.runtime, '170 min');
+    assert.equal(details.tmdbRating, 7.9);
+    assert.equal(details.letterboxdRating, 4.32);
+    assert.match(details.description, /^Obsessive master thief, Neil/);
+    assert.deepEqual(
+      details.cast.map((person) => person.name),
+      ['Al Pacino', 'Robert De Niro', 'Val Kilmer']
+    );
+    assert.equal(details.certification, 'R');
+    assert.equal(details.trailerKey, '2GfZl4kuVNI');
+    assert.deepEqual(
+      details.watchProviders.flatrate.map((provider) => provider.name),
+      ['Netflix']
+    );
+  });
+
+  test('more like this is TMDB related films found on the list', async () => {
+    const details = await fetchMovieDetails({
+      title: 'Heat',
+      slug: 'heat-1995',
+      year: '1995',
+    });
+    const listFilm = (slug, title, year) => ({ slug, title, year });
+
+    const movie = withMoreLikeThis({ ...details, slug: 'heat-1995' }, [
+      listFilm('heat-1995', 'Heat', '1995'),
+      listFilm('the-thing-1951', 'The Thing', '1951'),
+      listFilm('the-thing', 'The Thing', '1982'),
+    ]);
+
+    assert.equal(movie.related, undefined);
+    assert.deepEqual(
+      movie.moreLikeThis.map((film) => film.slug),
+      ['the-thing']
+    );
+  });
+
+  test('more like this matches titles in any script, but not empty ones', () => {
+    const related = [
+      { title: 'Stalker', originalTitle: 'Сталкер', year: '1979' },
+      { title: '!!!', year: '1979' },
+    ];
+    const films = [
+      { slug: 'the-thaw', title: 'Оттепель', year: '1979' },
+      { slug: 'stalker', title: 'Сталкер', year: '1979' },
+      { slug: 'question-marks', title: '???', year: '1979' },
+    ];
+
+    assert.deepEqual(
+      findSimilarInList(related, films, 'solaris').map((film) => film.slug),
+      ['stalker']
+    );
+  });
+
+  test('posting the pool gets more like this from the endpoint', async () => {
+    const res = await callHandler(detailsHandler, {
+      method: 'POST',
+      body: {
+        title: 'Heat',
+        slug: 'heat-1995',
+        year: 1995,
+        pool: [
+          { slug: 'heat-1995', title: 'Heat', year: '1995' },
+          { slug: 'the-thing', title: 'The Thing', year: 1982 },
+        ],
+      },
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.related, undefined);
+    assert.deepEqual(res.body.moreLikeThis, [
+      {
+        slug: 'the-thing',
+        title: 'The Thing',
+        year: '1982',
+        poster: null,
+        letterboxdUrl: 'https://letterboxd.com/film/the-thing/',
+      },
+    ]);
+  });
+
+  test('a pool film without a usable slug is rejected', async () => {
+    const res = await callHandler(detailsHandler, {
+      method: 'POST',
+      body: {
+        title: 'Heat',
+        pool: [{ slug: 'javascript:alert(1)', title: 'The Thing' }],
+      },
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'INVALID_PARAMS');
+  });
+
+  test('an unmatched film is NOT_FOUND', async () => {
+    await assert.rejects(
+      fetchMovieDetails({ title: 'No Such Film', slug: 'no-such-film' }),
+      { code: 'NOT_FOUND' }
+    );
+  });
+
+  test('a batch answers per film, in order', async () => {
+    const results = await fetchMovieDetailsBatch(
+      [
+        { title: 'No Such Film', slug: 'no-such-film' },
+        { title: 'Heat', slug: 'heat-1995', year: '1995' },
+      ],
+      { region: 'US' }
+    );
+
+    assert.deepEqual(results[0], {
+      slug: 'no-such-film',
+      error: 'Movie not found',
+      code: 'NOT_FOUND',
+    });
+    assert.equal(results[1].slug, 'heat-1995');
+    assert.equal(results[1].details.tmdbId, '949');
+  });
+
+  test('a batch without a pool answers with related movies', async () => {
+    const res = await callHandler(batchHandler, {
+      method: 'POST',
+      body: {
+        films: [{ title: 'Heat', slug: 'heat-1995', year: '1995' }],
+        region: 'US',
+      },
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.results[0].details.tmdbId, '949');
+    assert.deepEqual(
+      res.body.results[0].details.related.map((movie) => movie.title),
+      ['The Thing']
+    );
+  });
+});
@@ -0,0 +1,147 @@
+import { after, afterEach, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resetUpstreamMetrics,
+  setUpstream,
+  upstreamFetch,
+  upstreamMetrics,
+} from '../lib/upstream';
+
+const PAGE = 'https://letterboxd.test/alice/list/top-films/';
+
+let previous;
+before(() => {
+  previous = setUpstream({
+    letterboxdBase: 'https://letterboxd.test',
+    tmdbBase: 'https://tmdb.test/3',
+    retryDelay: 1,
+  });
+});
+after(() => setUpstream(previous));
+
+// Answer each fetch with the next of `statuses` (a number, or
+// [status, headers]), recording what was asked for
+function scriptFetch(statuses) {
+  const calls = [];
+  setUpstream({
+    fetch: async (url, options) => {
+      calls.push({ url, options });
+      const next = statuses[Math.min(calls.length, statuses.length) - 1];
+      const [status, headers] = Array.isArray(next) ? next : [next, {}];
+      return new Response(status === 200 ? 'ok' : null, { status, headers });
+    },
+  });
+  return calls;
+}
+
+afterEach(() => resetUpstreamMetrics());
+
+describe('upstream client', () => {
+  test('answers a 404 straight away', async () => {
+    const calls = scriptFetch([404]);
+
+    const response = await upstreamFetch(PAGE);
+
+    assert.equal(response.status, 404);
+    assert.equal(calls.length, 1);
+  });
+
+  test('retries server errors until one succeeds', async () => {
+    const calls = scriptFetch([503, 502, 200]);
+
+    const response = await upstreamFetch(PAGE);
+
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 3);
+    const { letterboxd } = upstreamMetrics().services;
+    assert.equal(letterboxd.requests, 1);
+    assert.equal(letterboxd.attempts, 3);
+    assert.equal(letterboxd.retries, 2);
+    assert.equal(letterboxd.failures, 0);
+    assert.deepEqual(letterboxd.statuses, { 200: 1, 502: 1, 503: 1 });
+  });
+
+  test('gives up after the last retry with the last response', async () => {
+    const calls = scriptFetch([500]);
+
+    const response = await upstreamFetch(PAGE, { retries: 1 });
+
+    assert.equal(response.status, 500);
+    assert.equal(calls.length, 2);
+    assert.equal(upstreamMetrics().services.letterboxd.failures, 1);
+  });
+
+  test('waits out a short Retry-After, but not a long one', async () => {
+    let calls = scriptFetch([[429, { 'Retry-After': '0' }], 200]);
+    assert.equal((await upstreamFetch(PAGE)).status, 200);
+    assert.equal(calls.length, 2);
+
+    calls = scriptFetch([[429, { 'Retry-After': '3600' }], 200]);
+    assert.equal((await upstreamFetch(PAGE)).status, 429);
+    assert.equal(calls.length, 1);
+    assert.equal(upstreamMetrics().services.letterboxd.rateLimited, 2);
+  });
+
+  test('times out each attempt and retries it', async () => {
+    let attempts = 0;
+    setUpstream({
+      // A server far slower than the timeout
+      fetch: (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          attempts++;
+          const timer = setTimeout(() => resolve(new Response('ok')), 1000);
+          signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          });
+        }),
+    });
+
+    await assert.rejects(upstreamFetch(PAGE, { timeout: 5, retries: 1 }), {
+      name: 'TimeoutError',
+    });
+    assert.equal(attempts, 2);
+    assert.equal(upstreamMetrics().services.letterboxd.timeouts, 2);
+  });
+
+  test("sends the service headers along with the caller's", async () => {
+    const calls = scriptFetch([200]);
+
+    await upstreamFetch('https://tmdb.test/3/movie/949', {
+      headers: { Authorization: 'Bearer token' },
+    });
+    await upstreamFetch(PAGE);
+
+    assert.deepEqual(calls[0].options.headers, {
+      Accept: 'application/json',
+      Authorization: 'Bearer token',
+    });
+    assert.match(calls[1].options.headers['User-Agent'], /Mozilla/);
+    assert.equal(upstreamMetrics().services.tmdb.requests, 1);
+  });
+
+  test('keeps to the per-host concurrency limit', async () => {
+    let active = 0;
+    let busiest = 0;
+    const restore = setUpstream({
+      letterboxd: { concurrency: 2 },
+      fetch: async () => {
+        active++;
+        busiest = Math.max(busiest, active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        active--;
+        return new Response('ok');
+      },
+    });
+
+    const pending = Array.from({ length: 5 }, (_, i) =>
+      upstreamFetch(`${PAGE}page/${i + 1}/`)
+    );
+    assert.equal(upstreamMetrics().services.letterboxd.queued, 3);
+    await Promise.all(pending);
+
+    assert.equal(busiest, 2);
+    assert.equal(upstreamMetrics().services.letterboxd.inFlight, 0);
+    setUpstream({ letterboxd: restore.letterboxd });
+  });
+});